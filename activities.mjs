@@ -0,0 +1,95 @@
+import { toWikitext, escapeWikitext } from './wikitext.mjs';
+
+// Where entry comments go: nowhere, a Discussion section of the entry page, or its Talk: page
+const COMMENT_LAYOUTS = ['none', 'section', 'talk'];
+
+// Exports carry activities per list (`list.activities`, linked to entries by listEntryUUID) or per
+// entry (`entry.activities`); `entry.comments` holds plain comments. These are the list's, by entry.
+function collectActivities(list) {
+  const activities = new Map();
+  for (const activity of list.activities || []) {
+    if (!activity.listEntryUUID) continue;
+    if (!activities.has(activity.listEntryUUID)) activities.set(activity.listEntryUUID, []);
+    activities.get(activity.listEntryUUID).push(activity);
+  }
+  return activities;
+}
+
+// All activities of an entry, oldest first, given those of its list from collectActivities
+function entryActivities(entry, listActivities) {
+  const activities = [
+    ...(listActivities.get(entry.uuid) || []),
+    ...(entry.activities || []),
+    ...(entry.comments || []).map(comment => ({ ...comment, isComment: true }))
+  ];
+  return activities.sort((a, b) => String(a.created_at ?? '').localeCompare(String(b.created_at ?? '')));
+}
+
+// A comment carries a message and no changed field; a field change names its element
+function isComment(activity) {
+  return activity.isComment || (Boolean(activity.message ?? activity.text) && !activity.elementUUID && !activity.elementName);
+}
+
+function isFieldChange(activity) {
+  return Boolean(activity.elementUUID || activity.elementName);
+}
+
+function authorOf(activity) {
+  return activity.userDisplayname || activity.userFullname || activity.user?.displayname ||
+    activity.created_by_displayname || 'Unknown user';
+}
+
+function formatTimestamp(value) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return 'unknown date';
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} (UTC)`;
+}
+
+// One heading per comment, with its author and time, so comments read like talk page threads.
+// headingLevel is the level of those headings; headings inside comments go below it.
+function buildComments(comments, headingLevel = 2) {
+  const marker = '='.repeat(headingLevel);
+  return comments.map(comment => {
+    const text = toWikitext(comment.message ?? comment.text, { headingOffset: headingLevel });
+    return `${marker} ${escapeWikitext(authorOf(comment))}, ${formatTimestamp(comment.created_at)} ${marker}\n${text}\n`;
+  }).join('\n');
+}
+
+// Field changes summarized per day and user, newest first, e.g.
+// "* 2024-01-03 – Carol changed Status, Due date"
+function buildChangelog(changes, elements = []) {
+  const elementNames = new Map(elements.map(element => [element.uuid, element.name]));
+  const groups = new Map();
+  for (const change of changes) {
+    const day = String(change.created_at ?? '').slice(0, 10) || 'unknown date';
+    const key = `${day}\u0000${authorOf(change)}`;
+    if (!groups.has(key)) groups.set(key, { day, author: authorOf(change), fields: new Set(), count: 0 });
+    const group = groups.get(key);
+    group.fields.add(change.elementName || elementNames.get(change.elementUUID) || 'a field');
+    group.count++;
+  }
+
+  return [...groups.values()].reverse().map(({ day, author, fields, count }) => {
+    const changed = [...fields].map(field => escapeWikitext(field)).join(', ');
+    return `* ${day} – ${escapeWikitext(author)} changed ${changed}${count > fields.size ? ` (${count} changes)` : ''}\n`;
+  }).join('');
+}
+
+// The Talk: page of an entry holds its comments, and its history when that is imported too
+function buildTalkPage(entryTitle, comments, changelog) {
+  let text = `''Comments imported from Zenkit for [[${entryTitle}]].''\n\n`;
+  text += buildComments(comments, 2);
+  if (changelog) text += `\n== History ==\n${changelog}`;
+  return text;
+}
+
+export {
+  COMMENT_LAYOUTS,
+  collectActivities,
+  entryActivities,
+  isComment,
+  isFieldChange,
+  buildComments,
+  buildChangelog,
+  buildTalkPage
+};
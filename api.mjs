@@ -0,0 +1,254 @@
+import axios from 'axios';
+import { wrapper } from 'axios-cookiejar-support';
+import tough from 'tough-cookie';
+import FormData from 'form-data';
+import pLimit from 'p-limit';
+
+wrapper(axios);
+const cookieJar = new tough.CookieJar();
+
+// Configuration
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+const MAX_RETRIES = 5;
+// Waiting out replication lag and rate limits is routine on busy wikis, so those waits have
+// their own, larger budget
+const MAX_THROTTLE_WAITS = 20;
+const RATE_LIMIT_DELAYS = [5000, 10000, 30000, 60000];
+const READONLY_DELAY = 30000;
+const DEFAULT_MAXLAG = 5;
+const MAX_CONCURRENCY = 5;
+// Successful requests in a row after which one more operation may run in parallel again
+const CONCURRENCY_RECOVERY = 20;
+
+// Error codes that mean the session was lost and the uploader has to sign in again
+const SESSION_CODES = ['assertuserfailed', 'assertbotfailed', 'assertnameduserfailed', 'notloggedin'];
+
+class ApiError extends Error {
+  constructor(error, response) {
+    super(`${error.code}: ${error.info || 'no details'}`);
+    this.name = 'ApiError';
+    this.code = error.code;
+    this.info = error.info;
+    this.lag = error.lag;
+    this.response = response;
+  }
+}
+
+const limit = pLimit(MAX_CONCURRENCY);
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const session = {
+  maxlag: DEFAULT_MAXLAG,
+  maxConcurrency: MAX_CONCURRENCY,
+  // 'bot' or 'user' once signed in, so an expired session fails instead of editing anonymously
+  assert: null,
+  // Set by the caller that signed in: signs in again, and fetches a fresh CSRF token
+  reauthenticate: null,
+  refreshToken: null,
+  recovering: null,
+  successes: 0,
+  warnings: new Set()
+};
+
+const apiStats = { requests: 0, retries: 0, throttled: 0, relogins: 0 };
+
+function configureApi(options = {}) {
+  if (options.maxlag !== undefined) session.maxlag = options.maxlag;
+  if (options.concurrency !== undefined) {
+    session.maxConcurrency = options.concurrency;
+    limit.concurrency = options.concurrency;
+  }
+  for (const key of ['assert', 'reauthenticate', 'refreshToken']) {
+    if (options[key] !== undefined) session[key] = options[key];
+  }
+}
+
+// Runs an operation once a slot is free; the number of slots shrinks while the wiki throttles us
+function schedule(operation) {
+  return limit(operation);
+}
+
+function slowDown(reason) {
+  apiStats.throttled++;
+  session.successes = 0;
+  const concurrency = Math.max(1, Math.floor(limit.concurrency / 2));
+  if (concurrency < limit.concurrency) {
+    limit.concurrency = concurrency;
+    console.log(`⚠ Wiki is throttling (${reason}), running ${concurrency} operation(s) at a time`);
+  }
+}
+
+function speedUp() {
+  if (++session.successes < CONCURRENCY_RECOVERY || limit.concurrency >= session.maxConcurrency) return;
+  session.successes = 0;
+  limit.concurrency++;
+}
+
+// Warnings are logged once each, they tend to repeat on every request
+function logWarnings(warnings) {
+  for (const [module, warning] of Object.entries(warnings || {})) {
+    const text = `${module}: ${warning['*'] ?? warning.warnings ?? JSON.stringify(warning)}`;
+    if (session.warnings.has(text)) continue;
+    session.warnings.add(text);
+    console.warn(`⚠ API warning from ${text}`);
+  }
+}
+
+function retryAfter(response) {
+  const seconds = Number(response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+// Signs in again once, however many requests noticed the lost session at the same time
+function recoverSession() {
+  if (!session.recovering) {
+    session.recovering = (async () => {
+      apiStats.relogins++;
+      console.log('⚠ Session lost, signing in again...');
+      await session.reauthenticate();
+    })().finally(() => {
+      session.recovering = null;
+    });
+  }
+  return session.recovering;
+}
+
+// Decides what to do about a failed request: how long to wait, whether to sign in again or
+// fetch a new token first, or null to give up right away
+function classifyFailure(error, throttleWaits) {
+  const code = error instanceof ApiError ? error.code : null;
+  const status = error.response?.status;
+
+  if (code === 'maxlag') {
+    return { throttle: true, wait: retryAfter(error.response) ?? Math.max(1000, (error.lag || 1) * 1000) };
+  }
+  if (code === 'ratelimited') {
+    return { throttle: true, wait: RATE_LIMIT_DELAYS[Math.min(throttleWaits, RATE_LIMIT_DELAYS.length - 1)] };
+  }
+  if (code === 'readonly') {
+    return { throttle: true, wait: retryAfter(error.response) ?? READONLY_DELAY };
+  }
+  if (!code && (status === 429 || status === 503) && retryAfter(error.response)) {
+    return { throttle: true, wait: retryAfter(error.response) };
+  }
+  if (SESSION_CODES.includes(code)) return session.reauthenticate ? { relogin: true, wait: 0 } : null;
+  if (code === 'badtoken') return session.refreshToken ? { newToken: true, wait: 0 } : null;
+  if (code?.startsWith('internal_api_error_DB')) return { wait: null };
+
+  // Network errors without a response, and server errors, are worth another try
+  if (!code && (status === undefined || status >= 500)) return { wait: null };
+  return null;
+}
+
+async function sendRequest(apiUrl, query, options) {
+  const config = {
+    jar: cookieJar,
+    withCredentials: true,
+    timeout: options.timeout
+  };
+
+  if (options.method !== 'POST') {
+    return axios.get(`${apiUrl}?${new URLSearchParams(query)}`, config);
+  }
+
+  if (!options.multipart) {
+    return axios.post(apiUrl, new URLSearchParams(query), {
+      ...config,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+  }
+
+  // Function values (e.g. file streams) are created anew for every attempt
+  const formData = new FormData();
+  for (const [key, value] of Object.entries(query)) {
+    formData.append(key, typeof value === 'function' ? value() : value);
+  }
+  return axios.post(apiUrl, formData, {
+    ...config,
+    headers: formData.getHeaders(),
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity
+  });
+}
+
+// Sends one API request. Every request carries maxlag, and once signed in an assertion, so the
+// wiki refuses to work for a lagged database or an expired session instead of doing the wrong
+// thing. Throttling, lost sessions, bad tokens and server errors are retried; other API errors
+// are thrown as ApiError, or returned in the response with `returnErrors` so callers can handle
+// codes such as editconflict themselves.
+//
+// options: method ('GET' or 'POST'), name (for log messages), timeout, multipart,
+// assert (false for requests made before signing in), returnErrors
+async function apiRequest(apiUrl, params, options = {}) {
+  const name = options.name || params.action;
+  const query = { ...params, format: 'json' };
+  let failures = 0;
+  let throttleWaits = 0;
+
+  for (;;) {
+    if (session.maxlag !== null) query.maxlag = session.maxlag;
+    if (options.assert !== false && session.assert) query.assert = session.assert;
+    else delete query.assert;
+
+    try {
+      apiStats.requests++;
+      const response = await sendRequest(apiUrl, query, options);
+      const data = response.data;
+      logWarnings(data?.warnings);
+
+      if (data?.error) {
+        const error = new ApiError(data.error, response);
+        if (options.returnErrors && !classifyFailure(error, throttleWaits)) return data;
+        throw error;
+      }
+
+      speedUp();
+      if (failures + throttleWaits > 0) {
+        console.log(`Successfully completed ${name} after ${failures + throttleWaits + 1} attempts`);
+      }
+      return data;
+    } catch (error) {
+      const failure = classifyFailure(error, throttleWaits);
+      if (!failure) {
+        if (!(error instanceof ApiError)) console.error(`Non-retryable error for ${name}:`, error.message);
+        throw error;
+      }
+
+      if (failure.throttle) {
+        if (++throttleWaits > MAX_THROTTLE_WAITS) {
+          console.error(`Gave up on ${name} after waiting ${MAX_THROTTLE_WAITS} times for the wiki:`, error.message);
+          throw error;
+        }
+        slowDown(error instanceof ApiError ? error.code : `HTTP ${error.response.status}`);
+      } else if (++failures >= MAX_RETRIES) {
+        console.error(`All ${MAX_RETRIES} attempts failed for ${name}. Last error:`, error.message);
+        throw error;
+      }
+
+      apiStats.retries++;
+      session.successes = 0;
+      if (failure.relogin) {
+        await recoverSession();
+      }
+      if ((failure.relogin || failure.newToken) && query.token) {
+        query.token = await session.refreshToken();
+      }
+
+      const wait = failure.wait ?? RETRY_DELAYS[failures - 1] ?? RETRY_DELAYS[RETRY_DELAYS.length - 1];
+      if (wait > 0) {
+        console.log(`Attempt ${failures + throttleWaits} failed for ${name} (${error.message}). Retrying in ${wait / 1000} seconds...`);
+        await delay(wait);
+      }
+    }
+  }
+}
+
+export {
+  ApiError,
+  apiRequest,
+  configureApi,
+  schedule,
+  apiStats,
+  DEFAULT_MAXLAG,
+  MAX_CONCURRENCY
+};
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+
+// password: action=login with the account's password
+// botpassword: action=login with a bot password from Special:BotPasswords (User@BotName)
+// clientlogin: action=clientlogin, prompting for anything extra the wiki asks for (e.g. 2FA codes)
+// oauth1, oauth2: every request is signed, no login request is made
+const AUTH_METHODS = ['password', 'botpassword', 'clientlogin', 'oauth1', 'oauth2'];
+
+const OAUTH1_CREDENTIALS = ['consumerKey', 'consumerSecret', 'accessToken', 'accessSecret'];
+
+// RFC 3986 encoding as required for OAuth 1.0a signatures
+function percentEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Builds the Authorization header of an OAuth 1.0a HMAC-SHA1 signed request. Form-encoded body
+// parameters are part of the signature; multipart bodies are not.
+function oauth1Header(method, url, bodyParams, credentials, { timestamp, nonce } = {}) {
+  const oauthParams = {
+    oauth_consumer_key: credentials.consumerKey,
+    oauth_token: credentials.accessToken,
+    oauth_signature_method: 'HMAC-SHA1',
+    oauth_timestamp: String(timestamp ?? Math.floor(Date.now() / 1000)),
+    oauth_nonce: nonce ?? crypto.randomBytes(16).toString('hex'),
+    oauth_version: '1.0'
+  };
+
+  const parsedUrl = new URL(url);
+  const params = [
+    ...parsedUrl.searchParams,
+    ...(bodyParams ? [...bodyParams] : []),
+    ...Object.entries(oauthParams)
+  ].map(([key, value]) => [percentEncode(key), percentEncode(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? (valueA < valueB ? -1 : 1) : (keyA < keyB ? -1 : 1)));
+
+  const baseUrl = `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}`;
+  const baseString = [
+    method.toUpperCase(),
+    percentEncode(baseUrl),
+    percentEncode(params.map(([key, value]) => `${key}=${value}`).join('&'))
+  ].join('&');
+  const signingKey = `${percentEncode(credentials.consumerSecret)}&${percentEncode(credentials.accessSecret)}`;
+  oauthParams.oauth_signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+  return 'OAuth ' + Object.entries(oauthParams)
+    .map(([key, value]) => `${percentEncode(key)}="${percentEncode(value)}"`)
+    .join(', ');
+}
+
+function validateAuth(auth) {
+  if (!AUTH_METHODS.includes(auth.method)) {
+    throw new Error(`Unknown authentication method "${auth.method}", expected one of: ${AUTH_METHODS.join(', ')}`);
+  }
+  if (auth.method === 'botpassword' && !auth.username?.includes('@')) {
+    throw new Error(`Bot password logins need a username of the form User@BotName, got "${auth.username}"`);
+  }
+  if (auth.method === 'oauth2' && !auth.accessToken) {
+    throw new Error('OAuth 2.0 needs an access token');
+  }
+  if (auth.method === 'oauth1') {
+    const missing = OAUTH1_CREDENTIALS.filter(name => !auth[name]);
+    if (missing.length > 0) throw new Error(`OAuth 1.0a is missing: ${missing.join(', ')}`);
+  }
+}
+
+// Adds OAuth credentials to every request made through an axios instance and returns a function
+// that removes them again
+function useOAuth(instance, auth) {
+  const interceptor = instance.interceptors.request.use(config => {
+    if (auth.method === 'oauth2') {
+      config.headers.Authorization = `Bearer ${auth.accessToken}`;
+    } else {
+      const bodyParams = config.data instanceof URLSearchParams ? config.data : null;
+      config.headers.Authorization = oauth1Header(config.method, config.url, bodyParams, auth);
+    }
+    return config;
+  });
+  return () => instance.interceptors.request.eject(interceptor);
+}
+
+// Lists the rights an account is missing, given a map of right to what needs it
+function missingRights(userRights, requiredRights) {
+  return Object.entries(requiredRights)
+    .filter(([right]) => !userRights.includes(right))
+    .map(([right, reason]) => `${right} (${reason})`);
+}
+
+export { AUTH_METHODS, percentEncode, oauth1Header, validateAuth, useOAuth, missingRights };
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { loadConfig, resolveAuth } from './config.mjs';
+import { AUTH_METHODS } from './auth.mjs';
+import { configureApi, DEFAULT_MAXLAG, MAX_CONCURRENCY } from './api.mjs';
+import { loadSiteConfig, resolveSiteConfig } from './site.mjs';
+import { IMAGE_LAYOUTS, MEDIA_MODES, DEFAULT_FILE_CATEGORY } from './media.mjs';
+import { COMMENT_LAYOUTS } from './activities.mjs';
+import { EXPORT_VERSION, DUMP_SCHEMA, DEFAULT_DUMP_USER, validateXmlDump } from './xmldump.mjs';
+import { loadWorkspaces, applyFilters } from './workspace.mjs';
+import { validateExport, formatValidation } from './validate.mjs';
+import { streamExport } from './stream.mjs';
+import { transformZenkitToMediaWikiFiles, transformExport } from './transform.mjs';
+import { uploadMediaWikiFiles, WMAPI, DELETE_POLICIES, CONFLICT_POLICIES } from './upload.mjs';
+import { extractZenkitChanges } from './reverse.mjs';
+import { getSyncStatus, formatStatus } from './status.mjs';
+
+// Every option can also be set in the config file under its long name. `path` options given
+// in the config file are relative to the config file; `env` names an environment variable
+// that takes precedence over the config file.
+const OPTIONS = {
+  config: { type: 'string', short: 'c', value: '<file>', description: 'JSON or YAML config file (default: ./zenkit2wiki.config.json, .yaml or .yml)' },
+  input: { type: 'string', short: 'i', value: '<file>', path: true, default: './Guide_to_Emergence_1.0_Prototype.json', description: 'Zenkit workspace export' },
+  output: { type: 'string', short: 'o', value: '<dir>', path: true, default: './mediawiki-pages', description: 'Directory for the generated MediaWiki pages' },
+  files: { type: 'string', value: '<dir>', path: true, default: './lists', description: 'Directory with the Zenkit list folders and their attachments' },
+  erase: { type: 'boolean', default: false, description: 'Delete the output directory before converting' },
+  stream: { type: 'boolean', default: false, description: 'Read the export entry by entry instead of all at once, for exports too large for memory' },
+  layout: { type: 'string', value: '<layout>', choices: ['sections', 'infobox'], default: 'sections', description: 'Page layout: sections or infobox' },
+  semantic: { type: 'boolean', default: false, description: 'Add Semantic MediaWiki annotations and property pages' },
+  subpages: { type: 'boolean', default: false, description: 'Title entries with a parent (Hierarchy or Subentries field) as subpages of it' },
+  'group-by': { type: 'string', value: '<field>', description: 'Group the entries on list pages by the value of this field' },
+  comments: { type: 'string', value: '<where>', choices: COMMENT_LAYOUTS, default: 'none', description: `Entry comments: ${COMMENT_LAYOUTS.join(', ')} (a Discussion section or the Talk: page)` },
+  history: { type: 'boolean', default: false, description: 'Add a changelog of field changes from the activity history' },
+  'xml-dump': { type: 'string', value: '<file>', path: true, description: 'Also write a MediaWiki XML dump of the pages and attachments for importDump.php' },
+  'dump-user': { type: 'string', value: '<name>', default: DEFAULT_DUMP_USER, description: 'Author of dumped pages that have no Zenkit creator' },
+  'xml-schema': { type: 'string', value: '<file>', path: true, keywords: ['off'], default: DUMP_SCHEMA, description: `Schema to validate the XML dump against with xmllint, by default the bundled export-${EXPORT_VERSION}.xsd, or "off"` },
+  'migration-report': { type: 'string', value: '<file>', path: true, description: 'Write a migration report as JSON, or as Markdown (.md) or HTML (.html) with a JSON copy' },
+  images: { type: 'string', value: '<layout>', choices: IMAGE_LAYOUTS, default: 'gallery', description: 'Attached images: gallery or thumbnails' },
+  media: { type: 'string', value: '<mode>', choices: MEDIA_MODES, default: 'copy', description: `How attachments get into the output directory: ${MEDIA_MODES.join(', ')}` },
+  'copy-concurrency': { type: 'string', value: '<n>', default: '8', description: 'Most attachments to copy at once' },
+  license: { type: 'string', value: '<template>', description: 'License template added to the File: pages of attachments' },
+  'file-category': { type: 'string', value: '<name>', default: DEFAULT_FILE_CATEGORY, description: 'Category of the File: pages of attachments' },
+  'api-url': { type: 'string', value: '<url>', env: 'MEDIAWIKI_API_URL', default: 'http://localhost:8080/w/api.php', description: 'MediaWiki API endpoint' },
+  username: { type: 'string', short: 'u', value: '<name>', env: 'MEDIAWIKI_USERNAME', description: 'MediaWiki username (User@BotName for bot passwords), prompted for if not set' },
+  auth: { type: 'string', value: '<method>', env: 'MEDIAWIKI_AUTH', choices: AUTH_METHODS, default: 'password', description: `Authentication method: ${AUTH_METHODS.join(', ')}` },
+  full: { type: 'boolean', default: false, description: 'Check every page and file against the wiki, ignoring the sync manifest' },
+  'on-delete': { type: 'string', value: '<policy>', choices: DELETE_POLICIES, default: 'keep', description: `Pages of deleted entries: ${DELETE_POLICIES.join(', ')}` },
+  'on-conflict': { type: 'string', value: '<policy>', choices: CONFLICT_POLICIES, default: 'skip', description: `Pages edited on the wiki: ${CONFLICT_POLICIES.join(', ')}` },
+  resume: { type: 'boolean', default: false, description: 'Continue an upload that was interrupted, from its journal' },
+  'retry-failed': { type: 'boolean', default: false, description: 'Only retry the pages and files that failed in the last upload' },
+  'dry-run': { type: 'boolean', default: false, description: 'Print the upload plan without changing the wiki' },
+  report: { type: 'string', value: '<file>', path: true, description: 'With --dry-run, write the plan as Markdown (.md) or JSON' },
+  maxlag: { type: 'string', value: '<seconds>', default: String(DEFAULT_MAXLAG), description: 'Wait while the wiki\'s database replicas lag more than this many seconds, or "off"' },
+  concurrency: { type: 'string', value: '<n>', default: String(MAX_CONCURRENCY), description: 'Most wiki operations to run at once; fewer run while the wiki throttles' },
+  'chunk-size': { type: 'string', value: '<MiB>', default: '5', description: 'Upload files larger than this in chunks of this size' },
+  'site-config': { type: 'string', value: '<file>', path: true, description: 'JSON file configuring the generated site pages' },
+  patch: { type: 'string', value: '<file>', path: true, default: './zenkit-patch.json', description: 'Where to write the Zenkit patch' },
+  'from-wiki': { type: 'boolean', default: false, description: 'Read pages from the wiki instead of the output directory' },
+  help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+const TRANSFORM_OPTIONS = ['input', 'output', 'files', 'erase', 'stream', 'layout', 'semantic', 'subpages', 'group-by', 'comments', 'history', 'images', 'media', 'copy-concurrency', 'license', 'file-category', 'xml-dump', 'dump-user', 'xml-schema', 'migration-report'];
+const UPLOAD_OPTIONS = ['output', 'api-url', 'username', 'auth', 'full', 'resume', 'retry-failed', 'on-delete', 'on-conflict', 'dry-run', 'report', 'maxlag', 'concurrency', 'chunk-size', 'site-config'];
+
+const COMMANDS = {
+  transform: {
+    description: 'Convert a Zenkit export into MediaWiki page files',
+    options: TRANSFORM_OPTIONS,
+    run: runTransform
+  },
+  upload: {
+    description: 'Upload generated pages and files to MediaWiki',
+    options: UPLOAD_OPTIONS,
+    run: runUpload
+  },
+  sync: {
+    description: 'Transform the export, then upload the result',
+    options: [...new Set([...TRANSFORM_OPTIONS, ...UPLOAD_OPTIONS])],
+    run: async values => {
+      await runTransform(values);
+      await runUpload(values);
+    }
+  },
+  validate: {
+    description: 'Check the Zenkit export against the export schema',
+    options: ['input'],
+    run: runValidate
+  },
+  status: {
+    description: 'Show what the next transform and upload would change, without contacting the wiki',
+    options: ['input', 'output'],
+    run: runStatus
+  },
+  pull: {
+    description: 'Turn wiki edits of generated pages into a Zenkit patch',
+    options: ['input', 'output', 'patch', 'semantic', 'subpages', 'from-wiki', 'api-url', 'username', 'auth', 'maxlag'],
+    run: runPull
+  }
+};
+
+class UsageError extends Error {}
+
+function readExport(values) {
+  if (!fs.existsSync(values.input)) {
+    throw new UsageError(`Zenkit export not found: ${values.input} (set it with --input)`);
+  }
+  return JSON.parse(fs.readFileSync(values.input, 'utf8'));
+}
+
+// The export to publish: --input, or the `workspaces` of the config file merged into one, with the
+// config file's `filters` applied
+function loadExport(values) {
+  let zenkitJson;
+  try {
+    zenkitJson = values.workspaces ? loadWorkspaces(values.workspaces, values.configDir) : readExport(values);
+    return applyFilters(zenkitJson, values.filters || {});
+  } catch (error) {
+    if (error instanceof UsageError || error instanceof SyntaxError) throw error;
+    throw new UsageError(error.message);
+  }
+}
+
+// The export read entry by entry, for --stream
+function openExport(values) {
+  try {
+    return streamExport({ input: values.input, workspaces: values.workspaces, baseDir: values.configDir, filters: values.filters || {} });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+async function runTransform(values) {
+  if (values['xml-schema'] !== DUMP_SCHEMA && values['xml-schema'] !== 'off' && !values['xml-dump']) throw new UsageError('--xml-schema needs --xml-dump');
+  const copyConcurrency = numberOption(values, 'copy-concurrency', { min: 1 });
+  const source = values.stream ? openExport(values) : null;
+  const { zenkitJson, report } = source ? { report: source.report } : loadExport(values);
+  const options = {
+    layout: values.layout,
+    semantic: values.semantic,
+    subpages: values.subpages,
+    groupBy: values['group-by'],
+    comments: values.comments,
+    history: values.history,
+    images: values.images,
+    license: values.license,
+    fileCategory: values['file-category'],
+    xmlDump: values['xml-dump'],
+    dumpUser: values['dump-user'],
+    migrationReport: values['migration-report'],
+    hidden: report.hidden,
+    mediaMode: values.media,
+    copyConcurrency,
+    filterReport: values.workspaces || values.filters ? report : null
+  };
+  if (source) {
+    await transformExport(source, values.output, values.files, values.erase, options);
+  } else {
+    await transformZenkitToMediaWikiFiles(zenkitJson, values.output, values.files, values.erase, options);
+  }
+
+  if (values['xml-dump'] && values['xml-schema'] !== 'off') await checkXmlDump(values['xml-dump'], values['xml-schema']);
+}
+
+// Without xmllint, a dump is only left unchecked if no schema was asked for
+async function checkXmlDump(dumpFile, schemaFile) {
+  let result;
+  try {
+    result = await validateXmlDump(dumpFile, schemaFile);
+  } catch (error) {
+    if (error.code !== 'ENOENT' || schemaFile !== DUMP_SCHEMA) throw error;
+    console.warn(`⚠ ${error.message}; ${dumpFile} was not validated`);
+    return;
+  }
+  for (const message of result.messages) console.error(message);
+  if (!result.valid) throw new Error(`${dumpFile} does not validate against ${schemaFile}`);
+  console.log(`✓ ${dumpFile} validates against ${schemaFile}`);
+}
+
+// Options given on the command line arrive as strings, in the config file also as numbers
+function numberOption(values, name, { min = 0, allowOff = false } = {}) {
+  const value = values[name];
+  if (allowOff && value === 'off') return null;
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min) {
+    throw new UsageError(`Invalid value "${value}" for --${name}, expected a whole number of at least ${min}${allowOff ? ' or "off"' : ''}`);
+  }
+  return number;
+}
+
+async function runUpload(values) {
+  const maxlag = numberOption(values, 'maxlag', { allowOff: true });
+  const concurrency = numberOption(values, 'concurrency', { min: 1 });
+  const chunkSize = numberOption(values, 'chunk-size', { min: 1 }) * 1024 * 1024;
+  const auth = await resolveAuth(values.auth, values.username);
+  const site = typeof values.site === 'object' ?
+    resolveSiteConfig(values.site, values.configDir) :
+    loadSiteConfig(values['site-config']);
+
+  await uploadMediaWikiFiles(values.output, values['api-url'], auth.username, auth.password, {
+    auth,
+    site,
+    incremental: !values.full,
+    resume: values.resume,
+    retryFailed: values['retry-failed'],
+    deletePolicy: values['on-delete'],
+    conflictPolicy: values['on-conflict'],
+    dryRun: values['dry-run'],
+    reportPath: values.report,
+    maxlag,
+    concurrency,
+    chunkSize
+  });
+}
+
+async function runValidate(values) {
+  const validation = validateExport(loadExport(values).zenkitJson);
+  console.log(formatValidation(validation));
+  if (validation.errors.length > 0) throw new Error('The export does not match the schema the transformer expects');
+  console.log('✓ The export can be converted');
+}
+
+async function runStatus(values) {
+  const zenkitJson = values.workspaces || fs.existsSync(values.input) ? loadExport(values).zenkitJson : null;
+  process.stdout.write(formatStatus(getSyncStatus(values.output, zenkitJson)));
+}
+
+async function runPull(values) {
+  const options = { semantic: values.semantic, subpages: values.subpages };
+  if (values['from-wiki']) {
+    const apiUrl = values['api-url'];
+    configureApi({ maxlag: numberOption(values, 'maxlag', { allowOff: true }) });
+    await WMAPI.authenticate(apiUrl, await resolveAuth(values.auth, values.username));
+    options.loadPage = record => WMAPI.getPageContent(apiUrl, record.wikiTitle || record.title);
+  }
+
+  const patch = await extractZenkitChanges(loadExport(values).zenkitJson, values.output, options);
+  fs.writeFileSync(values.patch, JSON.stringify(patch, null, 2));
+  console.log(`Patch written to ${values.patch}`);
+}
+
+function formatHelp(commandName) {
+  if (!commandName) {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    let text = 'Usage: zenkit2wiki <command> [options]\n\nCommands:\n';
+    for (const [name, command] of Object.entries(COMMANDS)) {
+      text += `  ${name.padEnd(width)}  ${command.description}\n`;
+    }
+    text += '\nRun "zenkit2wiki <command> --help" for the options of a command.\n';
+    text += 'The wiki password is read from MEDIAWIKI_PASSWORD, or prompted for. OAuth credentials are read\n';
+    text += 'from MEDIAWIKI_OAUTH_CONSUMER_KEY, _CONSUMER_SECRET, _ACCESS_TOKEN and _ACCESS_SECRET.\n';
+    return text;
+  }
+
+  const command = COMMANDS[commandName];
+  const rows = [...command.options, 'config', 'help'].map(name => {
+    const option = OPTIONS[name];
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`;
+    const notes = [
+      option.default !== undefined && option.type !== 'boolean' ? `default: ${option.default}` : null,
+      option.env ? `env: ${option.env}` : null
+    ].filter(Boolean);
+    return [flag, `${option.description}${notes.length ? ` (${notes.join(', ')})` : ''}`];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+
+  let text = `Usage: zenkit2wiki ${commandName} [options]\n\n${command.description}\n\nOptions:\n`;
+  for (const [flag, description] of rows) {
+    text += `  ${flag.padEnd(width)}  ${description}\n`;
+  }
+  return text;
+}
+
+// Resolves each option from, in order: the command line, its environment variable, the config
+// file and its default. Paths in the config file are relative to it, other than keywords like "off".
+function resolveOptions(command, flags) {
+  const { config, configDir, file } = loadConfig(flags.config);
+  const known = new Set([...Object.keys(OPTIONS), 'site', 'workspaces', 'filters']);
+  for (const key of Object.keys(config)) {
+    if (!known.has(key)) console.warn(`⚠ Ignoring unknown option "${key}" in ${file}`);
+  }
+
+  const values = { configDir, site: config.site, workspaces: config.workspaces, filters: config.filters };
+  for (const name of command.options) {
+    const option = OPTIONS[name];
+    let value = flags[name];
+    if (value === undefined && option.env) value = process.env[option.env];
+    if (value === undefined && config[name] !== undefined) {
+      const isPath = option.path && typeof config[name] === 'string' && !option.keywords?.includes(config[name]);
+      value = isPath ? path.resolve(configDir, config[name]) : config[name];
+    }
+    if (value === undefined) value = option.default;
+
+    if (option.choices && value !== undefined && !option.choices.includes(value)) {
+      throw new UsageError(`Invalid value "${value}" for --${name}, expected one of: ${option.choices.join(', ')}`);
+    }
+    values[name] = value;
+  }
+  return values;
+}
+
+async function runCli(argv) {
+  const [commandName, ...args] = argv;
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    process.stdout.write(formatHelp());
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) throw new UsageError(`Unknown command "${commandName}"`);
+
+  const parseOptions = Object.fromEntries([...command.options, 'config', 'help'].map(name => {
+    const { type, short } = OPTIONS[name];
+    return [name, short ? { type, short } : { type }];
+  }));
+
+  let flags;
+  try {
+    ({ values: flags } = parseArgs({ args, options: parseOptions, strict: true, allowPositionals: false }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (flags.help) {
+    process.stdout.write(formatHelp(commandName));
+    return;
+  }
+
+  await command.run(resolveOptions(command, flags));
+}
+
+export { runCli, formatHelp, OPTIONS, COMMANDS };
+
+if (process.argv[1] && fs.realpathSync(path.resolve(process.argv[1])) === fileURLToPath(import.meta.url)) {
+  runCli(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`zenkit2wiki: ${error.message}`);
+      console.error('Run "zenkit2wiki --help" for usage.');
+      process.exit(2);
+    }
+    console.error('\nProcess failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import YAML from 'yaml';
+
+const DEFAULT_CONFIG_FILES = ['zenkit2wiki.config.json', 'zenkit2wiki.config.yaml', 'zenkit2wiki.config.yml'];
+
+// Reads a JSON or YAML config file (by extension). Without a path, the first default config file
+// found in the working directory is used, if any.
+function loadConfig(configPath) {
+  const file = configPath || DEFAULT_CONFIG_FILES.find(name => fs.existsSync(name));
+  if (!file) return { config: {}, configDir: process.cwd() };
+
+  const text = fs.readFileSync(file, 'utf8');
+  const config = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+    throw new Error(`Config file ${file} must contain an object`);
+  }
+  return { config: config || {}, configDir: path.dirname(path.resolve(file)), file };
+}
+
+function prompt(question, { hidden = false } = {}) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`Cannot prompt for "${question.trim()}" without a terminal`));
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  if (hidden) {
+    // Echo the question but not the characters typed after it
+    rl._writeToOutput = text => {
+      if (text.includes(question)) process.stdout.write(text);
+    };
+  }
+
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// The password comes from MEDIAWIKI_PASSWORD or a prompt, never from argv or the config file
+async function resolveCredentials(username) {
+  const resolvedUsername = username || await prompt('MediaWiki username: ');
+  const password = process.env.MEDIAWIKI_PASSWORD || await prompt(`Password for ${resolvedUsername}: `, { hidden: true });
+  return { username: resolvedUsername, password };
+}
+
+// OAuth credentials, like passwords, are only read from the environment
+const OAUTH_ENVIRONMENT = {
+  oauth1: {
+    consumerKey: 'MEDIAWIKI_OAUTH_CONSUMER_KEY',
+    consumerSecret: 'MEDIAWIKI_OAUTH_CONSUMER_SECRET',
+    accessToken: 'MEDIAWIKI_OAUTH_ACCESS_TOKEN',
+    accessSecret: 'MEDIAWIKI_OAUTH_ACCESS_SECRET'
+  },
+  oauth2: {
+    accessToken: 'MEDIAWIKI_OAUTH_ACCESS_TOKEN'
+  }
+};
+
+// Collects what the chosen authentication method needs, in the shape WMAPI.authenticate expects
+async function resolveAuth(method, username) {
+  if (OAUTH_ENVIRONMENT[method]) {
+    const auth = { method };
+    const missing = [];
+    for (const [name, variable] of Object.entries(OAUTH_ENVIRONMENT[method])) {
+      auth[name] = process.env[variable];
+      if (!auth[name]) missing.push(variable);
+    }
+    if (missing.length > 0) throw new Error(`${method} authentication needs ${missing.join(', ')} to be set`);
+    return auth;
+  }
+
+  const credentials = await resolveCredentials(username);
+  return { method, ...credentials, prompt };
+}
+
+export { DEFAULT_CONFIG_FILES, loadConfig, prompt, resolveCredentials, resolveAuth };
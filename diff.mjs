@@ -0,0 +1,179 @@
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  return String(text).replace(/\n$/, '').split('\n');
+}
+
+// Longest common subsequence table over lines, used to derive the edit script
+function lcsTable(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  return table;
+}
+
+// Returns a list of { type: ' ' | '-' | '+', line } operations turning a into b
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const table = lcsTable(middleA, middleB);
+  const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+
+  let i = 0;
+  let j = 0;
+  while (i < middleA.length || j < middleB.length) {
+    if (i < middleA.length && j < middleB.length && middleA[i] === middleB[j]) {
+      ops.push({ type: ' ', line: middleA[i] });
+      i++;
+      j++;
+    } else if (i < middleA.length && (j === middleB.length || table[i + 1][j] >= table[i][j + 1])) {
+      ops.push({ type: '-', line: middleA[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: middleB[j] });
+      j++;
+    }
+  }
+
+  return ops.concat(a.slice(endA).map(line => ({ type: ' ', line })));
+}
+
+function unifiedDiff(oldText, newText, { fromLabel = 'wiki', toLabel = 'local', context = 3 } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = diffLines(a, b);
+  if (!ops.some(op => op.type !== ' ')) return '';
+
+  const hunks = [];
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  ops.forEach((op, index) => {
+    const isChange = op.type !== ' ';
+    const nearChange = ops.slice(Math.max(0, index - context), index + context + 1).some(other => other.type !== ' ');
+
+    if (nearChange) {
+      if (!current) {
+        current = { oldStart: oldLine + 1, newStart: newLine + 1, oldCount: 0, newCount: 0, lines: [] };
+        hunks.push(current);
+      }
+      current.lines.push(`${op.type}${op.line}`);
+      if (op.type !== '+') current.oldCount++;
+      if (op.type !== '-') current.newCount++;
+    } else if (current && !isChange) {
+      current = null;
+    }
+
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  let output = `--- ${fromLabel}\n+++ ${toLabel}\n`;
+  for (const hunk of hunks) {
+    // Empty ranges point at the line before them, as in GNU diff
+    const oldStart = hunk.oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+    output += `@@ -${oldStart},${hunk.oldCount} +${newStart},${hunk.newCount} @@\n`;
+    output += hunk.lines.join('\n') + '\n';
+  }
+  return output;
+}
+
+// Groups a diff into hunks of base lines [start, end) replaced by `lines`
+function changeHunks(base, other, side) {
+  const hunks = [];
+  let baseIndex = 0;
+  let current = null;
+
+  for (const op of diffLines(base, other)) {
+    if (op.type === ' ') {
+      if (current) hunks.push(current);
+      current = null;
+      baseIndex++;
+      continue;
+    }
+    if (!current) current = { side, start: baseIndex, end: baseIndex, lines: [] };
+    if (op.type === '-') {
+      current.end++;
+      baseIndex++;
+    } else {
+      current.lines.push(op.line);
+    }
+  }
+
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+// Applies one side's hunks to the base lines in [start, end)
+function applyHunks(base, start, end, hunks) {
+  const lines = [];
+  let position = start;
+  for (const hunk of hunks) {
+    lines.push(...base.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  }
+  return lines.concat(base.slice(position, end));
+}
+
+// Line-based three-way merge of two descendants of `baseText`. Overlapping changes that differ
+// are wrapped in conflict markers and counted in `conflicts`.
+function mergeThreeWay(baseText, oursText, theirsText, { oursLabel = 'wiki', theirsLabel = 'zenkit' } = {}) {
+  const base = splitLines(baseText);
+  const hunks = [
+    ...changeHunks(base, splitLines(oursText), 'ours'),
+    ...changeHunks(base, splitLines(theirsText), 'theirs')
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const merged = [];
+  let conflicts = 0;
+  let position = 0;
+  let index = 0;
+
+  while (index < hunks.length) {
+    const group = [hunks[index++]];
+    let end = group[0].end;
+    while (index < hunks.length) {
+      const next = hunks[index];
+      const touchesInsertion = next.start === end &&
+        (next.start === next.end || group.some(hunk => hunk.start === hunk.end && hunk.start === end));
+      if (next.start >= end && !touchesInsertion) break;
+      group.push(next);
+      end = Math.max(end, next.end);
+      index++;
+    }
+
+    const start = group[0].start;
+    merged.push(...base.slice(position, start));
+    const ours = applyHunks(base, start, end, group.filter(hunk => hunk.side === 'ours'));
+    const theirs = applyHunks(base, start, end, group.filter(hunk => hunk.side === 'theirs'));
+    const sides = new Set(group.map(hunk => hunk.side));
+
+    if (sides.size === 1) {
+      merged.push(...(sides.has('ours') ? ours : theirs));
+    } else if (ours.join('\n') === theirs.join('\n')) {
+      merged.push(...ours);
+    } else {
+      conflicts++;
+      merged.push(`<<<<<<< ${oursLabel}`, ...ours, '=======', ...theirs, `>>>>>>> ${theirsLabel}`);
+    }
+    position = end;
+  }
+
+  merged.push(...base.slice(position));
+  return { merged: merged.join('\n') + '\n', conflicts };
+}
+
+export { splitLines, diffLines, unifiedDiff, mergeThreeWay };
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+
+// The upload journal lives next to the sync manifest, one JSON record per line. A record is added
+// as soon as a page or file is done or has failed, so an upload that crashed or was killed before
+// saving the manifest can continue where it stopped. Records of done items carry the changes they
+// made to the manifest, records of failed items the wiki's error code.
+function journalPath(outputDir) {
+  const resolved = path.resolve(outputDir);
+  return path.join(path.dirname(resolved), `${path.basename(resolved)}.upload-journal.jsonl`);
+}
+
+function failuresPath(outputDir) {
+  const resolved = path.resolve(outputDir);
+  return path.join(path.dirname(resolved), `${path.basename(resolved)}.upload-failures.json`);
+}
+
+// The journal of the last upload, or null if there is none. It is finished if its last run got
+// to the end, even with failed items.
+function readJournal(outputDir) {
+  const file = journalPath(outputDir);
+  if (!fs.existsSync(file)) return null;
+
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // The last line of a killed upload may be cut short
+    }
+  }
+  const lastStart = records.findLastIndex(record => record.event === 'start');
+  const lastFinish = records.findLastIndex(record => record.event === 'finish');
+  return { file, records, startedAt: records[0]?.time || null, finished: lastFinish > lastStart };
+}
+
+// The latest record of every item, by type and key: an item that failed and was retried since
+// counts as done
+function latestOutcomes(journal) {
+  const outcomes = new Map();
+  for (const record of journal.records) {
+    if (record.status) outcomes.set(`${record.type}:${record.key}`, record);
+  }
+  return [...outcomes.values()];
+}
+
+function outstandingFailures(journal) {
+  return latestOutcomes(journal).filter(record => record.status === 'failed');
+}
+
+// Changes map manifest sections (pages, files, entries) to the keys to set, or to delete when null.
+// Entries are updated in place, and only if they still exist.
+function applyChanges(manifest, changes) {
+  for (const [section, items] of Object.entries(changes)) {
+    for (const [key, value] of Object.entries(items)) {
+      if (value === null) {
+        delete manifest[section][key];
+      } else if (section === 'entries') {
+        if (manifest.entries[key]) Object.assign(manifest.entries[key], value);
+      } else {
+        manifest[section][key] = value;
+      }
+    }
+  }
+}
+
+// Applies the manifest changes of every done item of the journal, returning how many there were
+function replayJournal(journal, manifest) {
+  let replayed = 0;
+  for (const record of journal.records) {
+    if (record.status !== 'done' || !record.changes) continue;
+    applyChanges(manifest, record.changes);
+    replayed++;
+  }
+  return replayed;
+}
+
+// Starts a new journal, or adds to the existing one when continuing its upload
+function openJournal(outputDir, { append = false, mode = 'upload' } = {}) {
+  const file = journalPath(outputDir);
+  if (!append) fs.rmSync(file, { force: true });
+  const write = record => fs.appendFileSync(file, `${JSON.stringify({ time: new Date().toISOString(), ...record })}\n`);
+  write({ event: 'start', mode });
+
+  return {
+    file,
+    done: (item, changes) => write({ ...item, status: 'done', changes }),
+    failed: (item, { code, info }) => write({ ...item, status: 'failed', code, info }),
+    finish: stats => write({ event: 'finish', stats })
+  };
+}
+
+// Lists the items whose last attempt failed, with the wiki's error codes; removes the list once
+// nothing is failing any more. Returns the path written, or null.
+function writeFailures(outputDir, failures) {
+  const file = failuresPath(outputDir);
+  if (failures.length === 0) {
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+  const items = failures.map(({ type, key, title, code, info, time }) => ({ type, title, key, code, info, failedAt: time }));
+  fs.writeFileSync(file, `${JSON.stringify({ generatedAt: new Date().toISOString(), failures: items }, null, 2)}\n`);
+  return file;
+}
+
+export {
+  journalPath,
+  failuresPath,
+  readJournal,
+  outstandingFailures,
+  applyChanges,
+  replayJournal,
+  openJournal,
+  writeFailures
+};
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MANIFEST_VERSION = 1;
+
+// The manifest lives next to the output directory so `--erase=true` doesn't wipe the sync state
+function manifestPath(outputDir) {
+  const resolved = path.resolve(outputDir);
+  return path.join(path.dirname(resolved), `${path.basename(resolved)}.sync-manifest.json`);
+}
+
+function emptyManifest() {
+  return { version: MANIFEST_VERSION, entries: {}, pages: {}, files: {}, uploads: {} };
+}
+
+function loadManifest(outputDir) {
+  const file = manifestPath(outputDir);
+  if (!fs.existsSync(file)) return emptyManifest();
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (manifest.version !== MANIFEST_VERSION) {
+      console.warn(`Ignoring sync manifest ${file} with unsupported version ${manifest.version}`);
+      return emptyManifest();
+    }
+    return { ...emptyManifest(), ...manifest };
+  } catch (error) {
+    console.error(`Error reading sync manifest ${file}:`, error.message);
+    return emptyManifest();
+  }
+}
+
+function saveManifest(outputDir, manifest) {
+  const file = manifestPath(outputDir);
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Relative paths in the manifest always use forward slashes so it can move between platforms
+function relativeKey(outputDir, filePath) {
+  return path.relative(outputDir, filePath).split(path.sep).join('/');
+}
+
+export {
+  manifestPath,
+  loadManifest,
+  saveManifest,
+  hashContent,
+  relativeKey
+};
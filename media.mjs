@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import pLimit from 'p-limit';
+import { ELEMENT_CATEGORIES, readValue } from './renderers.mjs';
+import { escapeWikitext } from './wikitext.mjs';
+import { sanitizeFileName, mediaFileName } from './titles.mjs';
+
+// Extensions MediaWiki renders as images by default; everything else becomes a download link
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.bmp', '.tif', '.tiff'];
+
+const IMAGE_LAYOUTS = ['gallery', 'thumbnails'];
+
+// How attachments get into the output directory. Links save the time and space of copying a large
+// export, but a symlinked output directory breaks when the export is moved or deleted.
+const MEDIA_MODES = ['copy', 'hardlink', 'symlink'];
+
+const DEFAULT_FILE_CATEGORY = 'Zenkit attachments';
+
+// File objects of an entry's Files fields, by file name, for their type and upload details
+function fileMetadata(elements, entry) {
+  const metadata = new Map();
+  for (const element of elements) {
+    if (element.elementcategory !== ELEMENT_CATEGORIES.FILES) continue;
+    for (const file of readValue(entry, element, ['_files']) || []) {
+      const name = typeof file === 'string' ? file : file.fileName || file.name;
+      if (name && typeof file === 'object') metadata.set(name, file);
+    }
+  }
+  return metadata;
+}
+
+function isImage(fileName, metadata) {
+  if (metadata?.isImage !== undefined) return Boolean(metadata.isImage);
+  if (metadata?.mimetype) return metadata.mimetype.startsWith('image/');
+  return IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// Describes one attachment: its original name, the wiki file name, the media file it is copied
+// to (relative to the output directory), whether it is shown as an image and who added it to Zenkit
+function describeAttachment(listDir, entryTitle, fileName, metadata) {
+  const title = mediaFileName(entryTitle, fileName);
+  return {
+    name: fileName,
+    title,
+    file: `Media/${listDir}/${sanitizeFileName(title)}`,
+    image: isImage(fileName, metadata),
+    uploadedAt: metadata?.created_at || null,
+    uploadedBy: metadata?.created_by_displayname || metadata?.created_by?.displayname || null
+  };
+}
+
+// Finds the attachments of an entry and describes them under their wiki names, with the path each
+// is copied from. sourceListName is the list's name in its own export, when it was renamed while
+// merging workspaces.
+async function findAttachments(sourceDir, listName, entry, entryTitle, elements, sourceListName = listName) {
+  // Construct the source path for attachments - using exact path structure. Zenkit names the
+  // folder after the entry's displayString, so an entry without one has no attachments folder.
+  if (!entry.displayString) return [];
+  const attachmentsPath = path.join(sourceDir, sourceListName, 'Files', 'Items', entry.displayString, 'Attachments');
+
+  try {
+    const listDir = sanitizeFileName(listName);
+    const metadata = fileMetadata(elements, entry);
+    const found = [];
+    for (const file of (await fs.promises.readdir(attachmentsPath)).sort()) {
+      const sourcePath = path.join(attachmentsPath, file);
+      // Only copy if source is a file (not a directory)
+      if (!(await fs.promises.stat(sourcePath)).isFile()) continue;
+      found.push({ sourcePath, attachment: describeAttachment(listDir, entryTitle, file, metadata.get(file)) });
+    }
+    return found;
+  } catch (error) {
+    // Entries without attachments have no folder
+    if (error.code === 'ENOENT' && error.path === attachmentsPath) return [];
+    console.error(`Error reading files for ${listName}/${entry.displayString}:`, error);
+    return [];
+  }
+}
+
+// Copies (or links) attachments into the output directory in the background, `concurrency` at a
+// time; idle() resolves once everything queued so far is written. Failures are logged and counted.
+function createMediaWriter(outputDir, { mode = 'copy', concurrency = 8 } = {}) {
+  if (!MEDIA_MODES.includes(mode)) {
+    throw new Error(`Unknown media mode "${mode}", expected one of: ${MEDIA_MODES.join(', ')}`);
+  }
+  const limit = pLimit(concurrency);
+  const stats = { queued: 0, written: 0, failed: 0 };
+  let pending = [];
+  let linkMode = mode;
+
+  const write = async (sourcePath, targetPath) => {
+    // A link left by an earlier run would have the copy written through to the export's own file
+    await fs.promises.rm(targetPath, { force: true });
+    if (linkMode === 'copy') return fs.promises.copyFile(sourcePath, targetPath);
+    if (linkMode === 'symlink') return fs.promises.symlink(path.resolve(sourcePath), targetPath);
+    try {
+      await fs.promises.link(sourcePath, targetPath);
+    } catch (error) {
+      // Hard links can't cross file systems; copy everything from here on instead
+      if (error.code !== 'EXDEV') throw error;
+      if (linkMode === 'hardlink') console.warn('⚠ The export and the output directory are on different file systems, copying attachments instead of linking them');
+      linkMode = 'copy';
+      await fs.promises.copyFile(sourcePath, targetPath);
+    }
+  };
+
+  const add = (sourcePath, attachment, label) => {
+    stats.queued++;
+    pending.push(limit(async () => {
+      try {
+        await write(sourcePath, path.join(outputDir, attachment.file));
+        stats.written++;
+        console.log(`Copied file: ${attachment.name} for ${label} as ${attachment.title}`);
+      } catch (error) {
+        stats.failed++;
+        console.error(`✗ Could not copy ${sourcePath}: ${error.message}`);
+      }
+    }));
+  };
+
+  const idle = async () => {
+    const writing = pending;
+    pending = [];
+    await Promise.all(writing);
+  };
+
+  return { add, idle, stats };
+}
+
+// Images go in a gallery (or one thumbnail each), other files are listed as download links
+function buildMediaSection(attachments, imageLayout = 'gallery') {
+  const images = attachments.filter(attachment => attachment.image);
+  const others = attachments.filter(attachment => !attachment.image);
+  let section = '';
+
+  if (images.length > 1 && imageLayout === 'gallery') {
+    section += '<gallery>\n';
+    section += images.map(({ title, name }) => `File:${title}|${escapeWikitext(name)}\n`).join('');
+    section += '</gallery>\n';
+  } else {
+    section += images.map(({ title, name }) => `[[File:${title}|thumb|${escapeWikitext(name)}]]\n`).join('');
+  }
+
+  section += others.map(({ title, name }) => `* [[Media:${title}|${escapeWikitext(name)}]]\n`).join('');
+  return section ? `\n== Media ==\n${section}` : '';
+}
+
+// Text of the File: page, sent with the upload and kept up to date like other generated pages
+function buildFileDescription(attachment, { entryTitle, listTitle, metadata, license, category = DEFAULT_FILE_CATEGORY }) {
+  const uploader = metadata?.created_by_displayname || metadata?.created_by?.displayname;
+  const details = [
+    `Original file name: ${escapeWikitext(attachment.name)}`,
+    uploader ? `Uploaded to Zenkit by: ${escapeWikitext(uploader)}` : null,
+    metadata?.created_at ? `Uploaded to Zenkit on: ${String(metadata.created_at).slice(0, 10)}` : null
+  ].filter(Boolean);
+
+  let text = `== Summary ==\nAttachment of [[${entryTitle}]] in the Zenkit list [[${listTitle}]].\n\n`;
+  text += details.map(detail => `* ${detail}\n`).join('');
+  if (license) text += `\n== Licensing ==\n{{${license}}}\n`;
+  if (category) text += `\n[[Category:${category}]]\n`;
+  return text;
+}
+
+export {
+  IMAGE_EXTENSIONS,
+  IMAGE_LAYOUTS,
+  MEDIA_MODES,
+  DEFAULT_FILE_CATEGORY,
+  fileMetadata,
+  isImage,
+  describeAttachment,
+  findAttachments,
+  createMediaWriter,
+  buildMediaSection,
+  buildFileDescription
+};
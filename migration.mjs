@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import { ELEMENT_CATEGORIES, readValue, getRenderer } from './renderers.mjs';
+
+function createMigrationReport(validation) {
+  return {
+    generatedAt: new Date().toISOString(),
+    validation,
+    lists: [],
+    attachments: { missing: [], orphans: [] },
+    danglingReferences: []
+  };
+}
+
+// Adds a list with its entry count, counted beforehand for a streamed list; entries are added to
+// `skipped` and `pages` as they are written
+function recordList(report, list, { title, skippedReason, entries } = {}) {
+  const record = {
+    name: list.list?.name ?? null,
+    title: title ?? null,
+    entries: entries ?? (Array.isArray(list.entries) ? list.entries.length : 0),
+    pages: 0,
+    skipped: [],
+    unmappedFields: (list.elements || [])
+      .filter(element => !getRenderer(element.elementcategory))
+      .map(element => ({ name: element.name, category: element.elementcategory }))
+  };
+  if (skippedReason) record.skippedReason = skippedReason;
+  report.lists.push(record);
+  return record;
+}
+
+// Compares the Files fields of a list's entries with the attachment folders in
+// <files>/<List>/Files/Items: files a field names but that weren't exported are missing, and
+// folders no entry of the list is named after are orphans. Entries left out by a filter
+// (leftOut, their displayStrings) still own their folders. checkEntry() takes the entries one at
+// a time, finish() looks for orphans once they were all checked.
+function createAttachmentCheck(report, list, filesDir, sourceListName = list.list.name, leftOut = []) {
+  const itemsDir = path.join(filesDir, sourceListName, 'Files', 'Items');
+  const fileElements = (list.elements || []).filter(element => element.elementcategory === ELEMENT_CATEGORIES.FILES);
+  const entryNames = new Set(leftOut);
+
+  const checkEntry = entry => {
+    entryNames.add(entry.displayString);
+    const attachmentsDir = path.join(itemsDir, String(entry.displayString ?? ''), 'Attachments');
+    for (const element of fileElements) {
+      for (const file of readValue(entry, element, ['_files']) || []) {
+        const fileName = typeof file === 'string' ? file : file?.fileName || file?.name;
+        if (fileName && !fs.existsSync(path.join(attachmentsDir, fileName))) {
+          report.attachments.missing.push({ list: list.list.name, entry: entry.displayString, field: element.name, file: fileName });
+        }
+      }
+    }
+  };
+
+  const finish = () => {
+    if (!fs.existsSync(itemsDir)) return;
+    for (const folder of fs.readdirSync(itemsDir).sort()) {
+      if (!entryNames.has(folder) && fs.statSync(path.join(itemsDir, folder)).isDirectory()) {
+        report.attachments.orphans.push({ list: list.list.name, path: path.join(sourceListName, 'Files', 'Items', folder) });
+      }
+    }
+  };
+
+  return { checkEntry, finish };
+}
+
+function summarizeReport(report) {
+  return {
+    lists: report.lists.length,
+    entries: report.lists.reduce((total, list) => total + list.entries, 0),
+    pages: report.lists.reduce((total, list) => total + list.pages, 0),
+    skippedEntries: report.lists.reduce((total, list) => total + list.skipped.length, 0),
+    unmappedFields: report.lists.reduce((total, list) => total + list.unmappedFields.length, 0),
+    validationErrors: report.validation.errors.length,
+    validationWarnings: report.validation.warnings.length,
+    missingAttachments: report.attachments.missing.length,
+    orphanAttachmentFolders: report.attachments.orphans.length,
+    danglingReferences: report.danglingReferences.length
+  };
+}
+
+const SUMMARY_LABELS = {
+  lists: 'Lists',
+  entries: 'Entries',
+  pages: 'Pages written',
+  skippedEntries: 'Skipped entries',
+  unmappedFields: 'Unmapped fields',
+  validationErrors: 'Validation errors',
+  validationWarnings: 'Validation warnings',
+  missingAttachments: 'Missing attachments',
+  orphanAttachmentFolders: 'Orphan attachment folders',
+  danglingReferences: 'Dangling references'
+};
+
+// Rows of every table in the report, shared by the Markdown and HTML formats
+function reportTables(report) {
+  const summary = summarizeReport(report);
+  return [
+    { heading: 'Summary', columns: ['Item', 'Count'], rows: Object.entries(summary).map(([key, count]) => [SUMMARY_LABELS[key], count]) },
+    {
+      heading: 'Lists',
+      columns: ['List', 'Title', 'Entries', 'Pages', 'Skipped', 'Unmapped fields'],
+      rows: report.lists.map(list => [
+        list.name, list.title ?? `not converted: ${list.skippedReason}`, list.entries, list.pages, list.skipped.length,
+        list.unmappedFields.map(field => `${field.name} (category ${field.category})`).join(', ')
+      ])
+    },
+    {
+      heading: 'Skipped entries',
+      columns: ['List', 'Entry', 'Reason'],
+      rows: report.lists.flatMap(list => list.skipped.map(skipped => [list.name, skipped.entry, skipped.reason]))
+    },
+    {
+      heading: 'Export validation',
+      columns: ['Severity', 'Where', 'Problem'],
+      rows: [...report.validation.errors, ...report.validation.warnings].map(issue => [issue.severity, issue.path, issue.message])
+    },
+    {
+      heading: 'Missing attachments',
+      columns: ['List', 'Entry', 'Field', 'File'],
+      rows: report.attachments.missing.map(({ list, entry, field, file }) => [list, entry, field, file])
+    },
+    {
+      heading: 'Orphan attachment folders',
+      columns: ['List', 'Folder'],
+      rows: report.attachments.orphans.map(({ list, path: folder }) => [list, folder])
+    },
+    {
+      heading: 'Dangling references',
+      columns: ['List', 'Entry', 'Field', 'Missing UUID'],
+      rows: report.danglingReferences.map(({ list, entry, field, uuid }) => [list, entry, field, uuid])
+    }
+  ];
+}
+
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function formatReportMarkdown(report) {
+  let markdown = `# Zenkit migration report\n\nGenerated ${report.generatedAt}\n`;
+  for (const { heading, columns, rows } of reportTables(report)) {
+    markdown += `\n## ${heading}\n\n`;
+    if (rows.length === 0) {
+      markdown += 'None.\n';
+      continue;
+    }
+    markdown += `| ${columns.join(' | ')} |\n|${columns.map(() => '---').join('|')}|\n`;
+    markdown += rows.map(row => `| ${row.map(markdownCell).join(' | ')} |\n`).join('');
+  }
+  return markdown;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatReportHtml(report) {
+  let html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>Zenkit migration report</title>\n';
+  html += '<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin-bottom:1em}' +
+    'th,td{border:1px solid #ccc;padding:.3em .6em;text-align:left}th{background:#f4f4f4}</style>\n</head>\n<body>\n';
+  html += `<h1>Zenkit migration report</h1>\n<p>Generated ${escapeHtml(report.generatedAt)}</p>\n`;
+  for (const { heading, columns, rows } of reportTables(report)) {
+    html += `<h2>${escapeHtml(heading)}</h2>\n`;
+    if (rows.length === 0) {
+      html += '<p>None.</p>\n';
+      continue;
+    }
+    html += `<table>\n<tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>\n`;
+    html += rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>\n`).join('');
+    html += '</table>\n';
+  }
+  return `${html}</body>\n</html>\n`;
+}
+
+// Writes the report as JSON, and for .md and .html paths also in that format with the JSON next
+// to it, so there is always a machine-readable copy
+function writeMigrationReport(report, reportPath) {
+  fs.mkdirSync(path.dirname(path.resolve(reportPath)), { recursive: true });
+  const json = JSON.stringify({ ...report, summary: summarizeReport(report) }, null, 2);
+  const extension = path.extname(reportPath).toLowerCase();
+  const written = [reportPath];
+  if (extension === '.md' || extension === '.html') {
+    fs.writeFileSync(reportPath, extension === '.md' ? formatReportMarkdown(report) : formatReportHtml(report));
+    const jsonPath = reportPath.slice(0, -extension.length) + '.json';
+    fs.writeFileSync(jsonPath, json);
+    written.push(jsonPath);
+  } else {
+    fs.writeFileSync(reportPath, json);
+  }
+  console.log(`Migration report written to ${written.join(' and ')}`);
+}
+
+export {
+  createMigrationReport,
+  recordList,
+  createAttachmentCheck,
+  summarizeReport,
+  formatReportMarkdown,
+  formatReportHtml,
+  writeMigrationReport
+};
@@ -0,0 +1,201 @@
+import { ELEMENT_CATEGORIES, readValue, renderElement } from './renderers.mjs';
+import { escapeWikitext } from './wikitext.mjs';
+import { listPageTitle, resolveEntryTitles } from './titles.mjs';
+
+// Fields whose values point at other entries, possibly of other lists
+const REFERENCE_CATEGORIES = [
+  ELEMENT_CATEGORIES.REFERENCES,
+  ELEMENT_CATEGORIES.HIERARCHY,
+  ELEMENT_CATEGORIES.SUBENTRIES,
+  ELEMENT_CATEGORIES.DEPENDENCIES
+];
+
+// Keys of an entry a reference field's values are read from
+const REFERENCE_SUFFIXES = ['_references', '_dependencies'];
+
+function referencedUuids(entry, element) {
+  return (readValue(entry, element, REFERENCE_SUFFIXES) || [])
+    .map(ref => typeof ref === 'string' ? ref : ref?.uuid)
+    .filter(uuid => uuid);
+}
+
+// Parent of every entry that has one in the same list: a Hierarchy field points at the parent,
+// a Subentries field lists the children. Cycles are broken so the result is a forest.
+function entryParents(list) {
+  const entries = list.entries || [];
+  const uuids = new Set(entries.map(entry => entry.uuid));
+  const parents = new Map();
+
+  for (const element of list.elements || []) {
+    for (const entry of entries) {
+      if (element.elementcategory === ELEMENT_CATEGORIES.HIERARCHY) {
+        const [parent] = referencedUuids(entry, element).filter(uuid => uuids.has(uuid) && uuid !== entry.uuid);
+        if (parent && !parents.has(entry.uuid)) parents.set(entry.uuid, parent);
+      } else if (element.elementcategory === ELEMENT_CATEGORIES.SUBENTRIES) {
+        for (const child of referencedUuids(entry, element)) {
+          if (uuids.has(child) && child !== entry.uuid && !parents.has(child)) parents.set(child, entry.uuid);
+        }
+      }
+    }
+  }
+
+  for (const uuid of [...parents.keys()].sort()) {
+    const seen = new Set([uuid]);
+    for (let ancestor = parents.get(uuid); ancestor; ancestor = parents.get(ancestor)) {
+      if (seen.has(ancestor)) {
+        parents.delete(uuid);
+        break;
+      }
+      seen.add(ancestor);
+    }
+  }
+  return parents;
+}
+
+// What titling needs of an entry: its name and ID, and its parent or children for subpages. A
+// streamed list keeps these instead of its entries until it is titled.
+function entryOutline(entry, elements) {
+  const outline = { uuid: entry.uuid, id: entry.id, displayString: entry.displayString };
+  for (const element of elements) {
+    if (element.elementcategory !== ELEMENT_CATEGORIES.HIERARCHY && element.elementcategory !== ELEMENT_CATEGORIES.SUBENTRIES) continue;
+    for (const suffix of REFERENCE_SUFFIXES) {
+      if (entry[element.uuid + suffix] !== undefined) outline[element.uuid + suffix] = entry[element.uuid + suffix];
+    }
+  }
+  return outline;
+}
+
+// Titles of the entries of one list, as { parents, entryTitles }
+function resolveListTitles(list, { subpages = false } = {}) {
+  const parents = subpages ? entryParents(list) : new Map();
+  const entryTitles = resolveEntryTitles(listPageTitle(list), list.entries || [], parents);
+  return { parents, entryTitles };
+}
+
+// Titles of the entries of every list, resolved before any page is rendered so references to
+// entries of lists further down the export resolve as well. Maps each list of the export to its
+// { parents, entryTitles }.
+function resolveWorkspaceTitles(zenkitJson, { subpages = false } = {}) {
+  const workspace = new Map();
+  for (const list of zenkitJson.lists || []) {
+    if (!list.list || !Array.isArray(list.elements)) continue;
+    workspace.set(list, resolveListTitles(list, { subpages }));
+  }
+  return workspace;
+}
+
+// The references one entry of a list makes, small enough to keep for every entry of a large export
+function entryReferences(list, entry) {
+  const listTitle = listPageTitle(list);
+  const references = [];
+  for (const element of list.elements.filter(element => REFERENCE_CATEGORIES.includes(element.elementcategory))) {
+    for (const target of referencedUuids(entry, element)) {
+      references.push({ source: entry.uuid, target, field: element.name, listName: list.list.name, listTitle, entry: entry.displayString });
+    }
+  }
+  return references;
+}
+
+// Inverts references of the whole workspace (from entryReferences): for every referenced entry,
+// the pages referring to it grouped by field. References to entries missing from the export are
+// returned as dangling, unless they were left out on purpose (hidden). A reference the target
+// already makes back through one of its own fields (as Zenkit's two-way references do), or
+// between a subpage and its parent (parents maps entry UUIDs to parent UUIDs), is left out, the
+// page shows it already.
+function linkReferences(allReferences, entryUuidToPageNameMap, parents = new Map(), hidden = new Set()) {
+  const outgoing = new Map();
+  const references = [];
+  const dangling = [];
+  for (const { source, target, field, listName, listTitle, entry } of allReferences) {
+    if (!entryUuidToPageNameMap[target]) {
+      if (hidden.has(target)) continue;
+      dangling.push({ list: listName, entry, field, uuid: target });
+      continue;
+    }
+    if (!outgoing.has(source)) outgoing.set(source, new Set());
+    outgoing.get(source).add(target);
+    references.push({ source, target, field, list: listTitle });
+  }
+
+  const backlinks = new Map();
+  for (const { source, target, field, list } of references) {
+    if (source === target || outgoing.get(target)?.has(source) || !entryUuidToPageNameMap[source]) continue;
+    if (parents.get(source) === target || parents.get(target) === source) continue;
+    if (!backlinks.has(target)) backlinks.set(target, new Map());
+    const key = `${field}\u0000${list}`;
+    const groups = backlinks.get(target);
+    if (!groups.has(key)) groups.set(key, { field, list, pages: new Set() });
+    groups.get(key).pages.add(entryUuidToPageNameMap[source]);
+  }
+  return { backlinks, dangling };
+}
+
+// "== Referenced by ==" with one line per field and list that refers to the page
+function buildBacklinks(groups) {
+  if (!groups || groups.size === 0) return '';
+  const lines = [...groups.values()]
+    .sort((a, b) => a.list.localeCompare(b.list) || a.field.localeCompare(b.field))
+    .map(({ field, list, pages }) => {
+      const links = [...pages].sort((a, b) => a.localeCompare(b)).map(page => `[[${page}]]`).join(', ');
+      return `* ${escapeWikitext(field)} in [[${list}]]: ${links}\n`;
+    });
+  return `\n== Referenced by ==\n${lines.join('')}`;
+}
+
+// The last part of a subpage title, shown instead of the full title in links
+function subpageLabel(parentTitle, title) {
+  return title.startsWith(`${parentTitle}/`) ? title.slice(parentTitle.length + 1) : title;
+}
+
+// "[[List]] › [[List/Parent|Parent]] › Child" above a subpage; ancestors are titles, root first
+function buildBreadcrumbs(listTitle, ancestors, title) {
+  const crumbs = [`[[${listTitle}]]`];
+  let parentTitle = listTitle;
+  for (const ancestor of ancestors) {
+    crumbs.push(`[[${ancestor}|${subpageLabel(parentTitle, ancestor)}]]`);
+    parentTitle = ancestor;
+  }
+  crumbs.push(subpageLabel(parentTitle, title));
+  return `<div class="zenkit-breadcrumbs">${crumbs.join(' › ')}</div>\n\n`;
+}
+
+function buildChildList(title, children) {
+  if (children.length === 0) return '';
+  const links = children
+    .map(child => ({ child, label: subpageLabel(title, child) }))
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .map(({ child, label }) => `* [[${child}|${label}]]\n`)
+    .join('');
+  return `\n== Subpages ==\n${links}`;
+}
+
+// The group of an entry on the list page: the first label of a Labels field, as on a Kanban
+// board, or the rendered value of any other field
+function groupLabel(element, entry, context) {
+  if (element.elementcategory === ELEMENT_CATEGORIES.LABELS) {
+    const [label] = readValue(entry, element, ['_categories', '_categories_sort']) || [];
+    return label?.name ? escapeWikitext(label.name) : '';
+  }
+  return renderElement(element, entry, context).split('\n')[0].trim();
+}
+
+// Labels fields keep the column order of their predefined labels, other groups sort by name
+function groupOrder(element) {
+  return (element.elementData?.predefinedCategories || []).map(category => escapeWikitext(category.name));
+}
+
+export {
+  REFERENCE_CATEGORIES,
+  entryParents,
+  entryOutline,
+  resolveListTitles,
+  resolveWorkspaceTitles,
+  entryReferences,
+  linkReferences,
+  buildBacklinks,
+  subpageLabel,
+  buildBreadcrumbs,
+  buildChildList,
+  groupLabel,
+  groupOrder
+};
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { unifiedDiff } from './diff.mjs';
+
+const PLAN_SYMBOLS = { create: '+', update: '~', skip: '=', move: '↪', delete: '-', tag: '!', conflict: '⚠' };
+
+function createPlan() {
+  return { createdAt: new Date().toISOString(), items: [] };
+}
+
+// Records what an upload would do to a page or file; content changes carry a unified diff
+function recordPlanItem(plan, { type, title, action, reason, existingContent, content, to }) {
+  const item = { type, title, action };
+  if (reason) item.reason = reason;
+  if (to) item.to = to;
+  if (action === 'update' && content !== undefined) {
+    item.diff = unifiedDiff(existingContent, content, { fromLabel: `wiki/${title}`, toLabel: `local/${title}` });
+  }
+  plan.items.push(item);
+  return item;
+}
+
+function summarizePlan(plan) {
+  const summary = {};
+  for (const item of plan.items) {
+    summary[item.type] = summary[item.type] || {};
+    summary[item.type][item.action] = (summary[item.type][item.action] || 0) + 1;
+  }
+  return summary;
+}
+
+function formatPlanText(plan) {
+  let text = '';
+  for (const item of plan.items) {
+    const target = item.to ? ` -> ${item.to}` : '';
+    text += `${PLAN_SYMBOLS[item.action] || '?'} ${item.action} ${item.type} "${item.title}"${target}`;
+    text += item.reason ? ` (${item.reason})\n` : '\n';
+    if (item.diff) text += item.diff.trimEnd().replace(/^/gm, '    ') + '\n';
+  }
+  return text;
+}
+
+function formatPlanMarkdown(plan) {
+  let markdown = `# MediaWiki upload plan\n\nGenerated ${plan.createdAt}\n\n## Summary\n\n`;
+  markdown += '| Type | Action | Count |\n|------|--------|-------|\n';
+  for (const [type, actions] of Object.entries(summarizePlan(plan))) {
+    for (const [action, count] of Object.entries(actions)) {
+      markdown += `| ${type} | ${action} | ${count} |\n`;
+    }
+  }
+
+  markdown += '\n## Changes\n\n';
+  for (const item of plan.items.filter(item => item.action !== 'skip')) {
+    markdown += `- **${item.action}** ${item.type} \`${item.title}\`${item.to ? ` → \`${item.to}\`` : ''}`;
+    markdown += item.reason ? ` (${item.reason})\n` : '\n';
+    if (item.diff) markdown += `\n  \`\`\`diff\n${item.diff.trimEnd().replace(/^/gm, '  ')}\n  \`\`\`\n`;
+  }
+
+  const skipped = plan.items.filter(item => item.action === 'skip');
+  if (skipped.length > 0) {
+    markdown += '\n## Unchanged\n\n';
+    for (const item of skipped) {
+      markdown += `- ${item.type} \`${item.title}\`${item.reason ? ` (${item.reason})` : ''}\n`;
+    }
+  }
+  return markdown;
+}
+
+// Writes the plan as Markdown for .md paths and as JSON otherwise
+function writePlanReport(plan, reportPath) {
+  fs.mkdirSync(path.dirname(path.resolve(reportPath)), { recursive: true });
+  const content = reportPath.endsWith('.md') ?
+    formatPlanMarkdown(plan) :
+    JSON.stringify({ ...plan, summary: summarizePlan(plan) }, null, 2);
+  fs.writeFileSync(reportPath, content);
+}
+
+export {
+  createPlan,
+  recordPlanItem,
+  summarizePlan,
+  formatPlanText,
+  formatPlanMarkdown,
+  writePlanReport
+};
@@ -0,0 +1,40 @@
+// Progress through a known amount of work, reported at most every `interval` milliseconds so large
+// runs show how far they got and roughly how long they still take. `detail` adds to each report.
+function createProgress(label, total, { unit = 'entries', interval = 5000, detail = () => '' } = {}) {
+  const started = Date.now();
+  let done = 0;
+  let reported = started;
+
+  const line = () => {
+    const extra = detail();
+    return `${label}: ${done} of ${total} ${unit}${extra ? `, ${extra}` : ''}`;
+  };
+
+  const tick = (count = 1) => {
+    done += count;
+    const now = Date.now();
+    if (now - reported < interval || done >= total) return;
+    reported = now;
+    const elapsed = now - started;
+    const percent = Math.floor(done / total * 100);
+    const rate = done / (elapsed / 1000);
+    const left = elapsed / done * (total - done);
+    console.log(`${line()} (${percent}%, ${rate.toFixed(1)}/s, about ${formatDuration(left)} left)`);
+  };
+
+  const finish = () => {
+    console.log(`${line()} in ${formatDuration(Date.now() - started)}`);
+  };
+
+  return { tick, finish };
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+export { createProgress, formatDuration };
@@ -0,0 +1,424 @@
+import { escapeWikitext, encodeUrl, decodeEntities, toWikitext, wikitextToMarkdown } from './wikitext.mjs';
+
+// Zenkit element categories as used in `element.elementcategory`
+const ELEMENT_CATEGORIES = {
+  TEXT: 1,
+  NUMBER: 2,
+  URL: 3,
+  DATE: 4,
+  CHECKBOX: 5,
+  LABELS: 6,
+  FORMULA: 7,
+  CREATED_AT: 8,
+  UPDATED_AT: 9,
+  DEPRECATED_AT: 10,
+  CREATED_BY: 11,
+  UPDATED_BY: 12,
+  DEPRECATED_BY: 13,
+  PERSONS: 14,
+  FILES: 15,
+  REFERENCES: 16,
+  HIERARCHY: 17,
+  SUBENTRIES: 18,
+  DEPENDENCIES: 19,
+  ROLLUP: 20
+};
+
+const EMAIL_PATTERN = /^(mailto:)?[^\s@]+@[^\s@]+\.[^\s@]+$/i;
+// Groups of digits, some maybe bracketed, between spaces, dots or dashes, optionally after a +
+const PHONE_PATTERN = /^\+?(\d+|\(\d+\))([\s.-]*(\d+|\(\d+\)))*$/;
+// Dates and IP addresses look like such numbers too, unless marked with tel: or +
+const NOT_PHONE_PATTERNS = [/^\d{4}-\d{1,2}-\d{1,2}$/, /^\d{1,2}[.-]\d{1,2}[.-]\d{2,4}$/, /^\d{1,3}(\.\d{1,3}){3}$/];
+
+// Schemes MediaWiki turns into links by default ($wgUrlProtocols); others, such as javascript:,
+// are shown as text
+const URL_PROTOCOLS = [
+  'bitcoin', 'ftp', 'ftps', 'geo', 'git', 'gopher', 'http', 'https', 'irc', 'ircs', 'magnet', 'mailto',
+  'matrix', 'mms', 'news', 'nntp', 'redis', 'sftp', 'sip', 'sips', 'sms', 'ssh', 'svn', 'tel', 'telnet',
+  'urn', 'worldwind', 'xmpp'
+];
+
+const renderers = new Map();
+
+function registerRenderer(category, renderer) {
+  if (typeof renderer === 'function') {
+    renderer = { name: `category ${category}`, render: renderer };
+  }
+  renderers.set(category, renderer);
+}
+
+function getRenderer(category) {
+  return renderers.get(category);
+}
+
+// Returns the first non-empty value stored under one of the given key suffixes
+function readValue(entry, element, suffixes) {
+  for (const suffix of suffixes) {
+    const value = entry[element.uuid + suffix];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Dates are shown in UTC, as Zenkit stores them: in the time zone of the machine running the
+// transform a date-only value could fall on the day before
+function formatDate(value, hasTime = false) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  let text = `${WEEKDAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${pad(date.getUTCDate())} ${date.getUTCFullYear()}`;
+  if (hasTime) {
+    text += ` ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())} UTC`;
+  }
+  return text;
+}
+
+function formatDateRange(start, end, hasTime) {
+  if (!start) return '';
+  const startText = formatDate(start, hasTime);
+  if (!end || end === start) return startText;
+  return `${startText} – ${formatDate(end, hasTime)}`;
+}
+
+function formatNumber(value, element) {
+  if (typeof value !== 'number') return String(value);
+  const decimals = element.elementData?.fractionDigits;
+  const text = Number.isInteger(decimals) ? value.toFixed(decimals) : value.toString();
+  const unit = element.elementData?.unit;
+  return unit ? `${text} ${unit}` : text;
+}
+
+function isPhoneNumber(link) {
+  const number = link.replace(/^tel:/i, '');
+  const digits = number.replace(/\D/g, '').length;
+  if (!PHONE_PATTERN.test(number) || digits < 5 || digits > 15) return false;
+  return /^(tel:|\+)/i.test(link) || !NOT_PHONE_PATTERNS.some(pattern => pattern.test(number));
+}
+
+// What a URL field links to and the text shown for it, or null if it can't be a link
+function resolveLink(value) {
+  const link = String(value).trim();
+  if (EMAIL_PATTERN.test(link)) {
+    const address = link.replace(/^mailto:/i, '');
+    return { url: `mailto:${address}`, label: address };
+  }
+  if (isPhoneNumber(link)) {
+    const number = link.replace(/^tel:/i, '');
+    return { url: `tel:${number.replace(/[^\d+]/g, '')}`, label: number };
+  }
+  // A colon followed by digits is a port, as in example.com:8080
+  const scheme = link.match(/^([a-z][a-z0-9+.-]*):(?!\d)/i)?.[1];
+  if (!scheme) return { url: `https://${link}`, label: link };
+  return URL_PROTOCOLS.includes(scheme.toLowerCase()) ? { url: link, label: null } : null;
+}
+
+function formatLink(value) {
+  const resolved = resolveLink(value);
+  if (!resolved) return escapeWikitext(String(value).trim());
+  // A single ] would end the link early
+  const label = resolved.label && escapeWikitext(resolved.label).replace(/\]/g, '&#93;');
+  return label ? `[${encodeUrl(resolved.url)} ${label}]` : `[${encodeUrl(resolved.url)}]`;
+}
+
+function referencedPageNames(references, context) {
+  return (references || [])
+    .map(ref => typeof ref === 'string' ? ref : ref?.uuid)
+    .map(refUuid => context.entryUuidToPageNameMap[refUuid])
+    .filter(pageName => pageName);
+}
+
+function formatReferences(references, context) {
+  return referencedPageNames(references, context)
+    .map(pageName => `[[${pageName}]]`)
+    .join(', ');
+}
+
+function toIsoDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value) : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Helpers for parsing rendered values back into Zenkit entry values
+function splitList(text) {
+  return decodeEntities(text).split(/\s*,\s*/).map(item => item.trim()).filter(item => item);
+}
+
+function parseDisplayDate(text) {
+  const hasTime = /\d{1,2}:\d{2}( UTC)?$/.test(text.trim());
+  const date = new Date(text.trim());
+  if (isNaN(date.getTime())) return { value: null, hasTime };
+  if (hasTime) return { value: date.toISOString(), hasTime };
+  return { value: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`, hasTime };
+}
+
+function parseReferences(text, context) {
+  const titles = [...text.matchAll(/\[\[([^|\]]+)(?:\|[^\]]*)?\]\]/g)].map(match => match[1].trim());
+  const names = titles.length > 0 ? titles : splitList(text);
+  return names
+    .map(name => context.pageNameToEntryUuidMap[name])
+    .filter(uuid => uuid);
+}
+
+// Formulas and rollups store their computed result in whichever key matches the result type
+function formatComputed(value, element) {
+  if (Array.isArray(value)) {
+    return value.map(item => formatComputed(item, element)).filter(item => item).join(', ');
+  }
+  if (value && typeof value === 'object') {
+    return escapeWikitext(value.displayString || value.name || value.value?.toString() || '');
+  }
+  if (typeof value === 'boolean') return value ? '✓' : '✗';
+  if (typeof value === 'number') return formatNumber(value, element);
+  return escapeWikitext(value);
+}
+
+registerRenderer(ELEMENT_CATEGORIES.TEXT, {
+  name: 'Text',
+  render: (element, entry, context) => toWikitext(readValue(entry, element, ['_text']), {
+    resolveImage: context.resolveImage
+  }),
+  parse: (text, element) => ({ [element.uuid + '_text']: wikitextToMarkdown(text) }),
+  semantic: {
+    type: 'Text',
+    // Only single-line plain values are annotated; rich text stays as rendered wikitext
+    values: (element, entry) => {
+      const value = readValue(entry, element, ['_text']);
+      if (!value || /[\n<>[\]{}|]/.test(value)) return null;
+      return [{ value: escapeWikitext(value) }];
+    }
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.NUMBER, {
+  name: 'Number',
+  render: (element, entry) => {
+    const value = readValue(entry, element, ['_number']);
+    return value === undefined ? '' : formatNumber(value, element);
+  },
+  parse: (text, element) => {
+    const value = parseFloat(decodeEntities(text).replace(/,/g, ''));
+    return { [element.uuid + '_number']: isNaN(value) ? null : value };
+  },
+  semantic: {
+    type: 'Number',
+    values: (element, entry) => {
+      const value = readValue(entry, element, ['_number']);
+      return value === undefined ? [] : [{ value: String(value), label: formatNumber(value, element) }];
+    }
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.URL, {
+  name: 'URL',
+  render: (element, entry) => {
+    const value = readValue(entry, element, ['_link', '_text']);
+    return value ? formatLink(value) : '';
+  },
+  parse: (text, element) => {
+    const match = text.match(/^\[(\S+)(?:\s[^\]]*)?\]$/);
+    const link = (match ? match[1] : decodeEntities(text)).trim().replace(/^(mailto|tel):/i, '');
+    return { [element.uuid + '_link']: link || null };
+  },
+  semantic: {
+    type: 'URL',
+    values: (element, entry) => {
+      const value = readValue(entry, element, ['_link', '_text']);
+      if (!value) return [];
+      const resolved = resolveLink(value);
+      if (!resolved) return null;
+      return [{ value: encodeUrl(resolved.url), label: escapeWikitext(resolved.label ?? String(value).trim()) }];
+    }
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.DATE, {
+  name: 'Date',
+  render: (element, entry) => formatDateRange(
+    readValue(entry, element, ['_date']),
+    readValue(entry, element, ['_endDate', '_enddate']),
+    Boolean(readValue(entry, element, ['_hasTime', '_hastime']))
+  ),
+  parse: (text, element) => {
+    const [start, end] = text.split(/\s+–\s+/).map(parseDisplayDate);
+    return {
+      [element.uuid + '_date']: start?.value ?? null,
+      [element.uuid + '_endDate']: end?.value ?? null,
+      [element.uuid + '_hasTime']: Boolean(start?.hasTime)
+    };
+  },
+  semantic: {
+    type: 'Date',
+    values: (element, entry) => {
+      const start = readValue(entry, element, ['_date']);
+      if (!start) return [];
+      const end = readValue(entry, element, ['_endDate', '_enddate']);
+      const hasTime = Boolean(readValue(entry, element, ['_hasTime', '_hastime']));
+      return [{ value: toIsoDate(start), label: formatDateRange(start, end, hasTime) }];
+    }
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.CHECKBOX, {
+  name: 'Checkbox',
+  render: (element, entry) => {
+    const value = readValue(entry, element, ['_checked', '_checkbox']);
+    return value === undefined ? '' : (value ? '✓' : '✗');
+  },
+  parse: (text, element) => ({ [element.uuid + '_checked']: /^(✓|true|yes|1)$/i.test(text.trim()) }),
+  semantic: {
+    type: 'Boolean',
+    values: (element, entry) => {
+      const value = readValue(entry, element, ['_checked', '_checkbox']);
+      return value === undefined ? [] : [{ value: value ? 'true' : 'false', label: value ? '✓' : '✗' }];
+    }
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.LABELS, {
+  name: 'Labels',
+  render: (element, entry) => (readValue(entry, element, ['_categories', '_categories_sort']) || [])
+    .map(cat => escapeWikitext(cat.name))
+    .join(', '),
+  // Label names are matched against the list's predefined categories where the export has them
+  parse: (text, element) => {
+    const predefined = element.elementData?.predefinedCategories || [];
+    return {
+      [element.uuid + '_categories']: splitList(text).map(name =>
+        predefined.find(category => category.name === name) || { name })
+    };
+  },
+  semantic: {
+    type: 'Text',
+    values: (element, entry) => (readValue(entry, element, ['_categories', '_categories_sort']) || [])
+      .map(cat => ({ value: escapeWikitext(cat.name) }))
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.FORMULA, {
+  name: 'Formula',
+  render: (element, entry) => {
+    const value = readValue(entry, element, ['_value', '_formula', '_number', '_text', '_date']);
+    return value === undefined ? '' : formatComputed(value, element);
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.ROLLUP, {
+  name: 'Rollup',
+  render: (element, entry) => {
+    const value = readValue(entry, element, ['_value', '_rollup', '_number', '_text']);
+    return value === undefined ? '' : formatComputed(value, element);
+  }
+});
+
+for (const [category, name, key] of [
+  [ELEMENT_CATEGORIES.CREATED_AT, 'Created at', 'created_at'],
+  [ELEMENT_CATEGORIES.UPDATED_AT, 'Updated at', 'updated_at'],
+  [ELEMENT_CATEGORIES.DEPRECATED_AT, 'Deprecated at', 'deprecated_at']
+]) {
+  registerRenderer(category, {
+    name,
+    render: (element, entry) => entry[key] ? formatDate(entry[key], true) : '',
+    semantic: {
+      type: 'Date',
+      values: (element, entry) => entry[key] ?
+        [{ value: toIsoDate(entry[key]), label: formatDate(entry[key], true) }] : []
+    }
+  });
+}
+
+for (const [category, name, key] of [
+  [ELEMENT_CATEGORIES.CREATED_BY, 'Created by', 'created_by'],
+  [ELEMENT_CATEGORIES.UPDATED_BY, 'Updated by', 'updated_by'],
+  [ELEMENT_CATEGORIES.DEPRECATED_BY, 'Deprecated by', 'deprecated_by']
+]) {
+  registerRenderer(category, {
+    name,
+    render: (element, entry) => escapeWikitext(entry[`${key}_displayname`] || entry[key]?.displayname || ''),
+    semantic: {
+      type: 'Text',
+      values: (element, entry) => {
+        const name = entry[`${key}_displayname`] || entry[key]?.displayname;
+        return name ? [{ value: escapeWikitext(name) }] : [];
+      }
+    }
+  });
+}
+
+registerRenderer(ELEMENT_CATEGORIES.PERSONS, {
+  name: 'Persons',
+  render: (element, entry) => (readValue(entry, element, ['_persons']) || [])
+    .map(person => escapeWikitext(person.displayString || person.fullname))
+    .join(', '),
+  parse: (text, element) => ({
+    [element.uuid + '_persons']: splitList(text).map(name => ({ displayString: name }))
+  }),
+  semantic: {
+    type: 'Text',
+    values: (element, entry) => (readValue(entry, element, ['_persons']) || [])
+      .map(person => ({ value: escapeWikitext(person.displayString || person.fullname) }))
+  }
+});
+
+registerRenderer(ELEMENT_CATEGORIES.FILES, {
+  name: 'Files',
+  render: (element, entry, context) => (readValue(entry, element, ['_files']) || [])
+    .map(file => typeof file === 'string' ? file : file.fileName || file.name)
+    .filter(fileName => fileName)
+    // Files that were not exported as attachments have nothing to link to
+    .map(fileName => {
+      const title = context.resolveFile?.(fileName);
+      return title ? `[[Media:${title}|${escapeWikitext(fileName)}]]` : escapeWikitext(fileName);
+    })
+    .join(', ')
+});
+
+for (const [category, name] of [
+  [ELEMENT_CATEGORIES.REFERENCES, 'References'],
+  [ELEMENT_CATEGORIES.HIERARCHY, 'Hierarchy'],
+  [ELEMENT_CATEGORIES.SUBENTRIES, 'Subentries'],
+  [ELEMENT_CATEGORIES.DEPENDENCIES, 'Dependencies']
+]) {
+  registerRenderer(category, {
+    name,
+    render: (element, entry, context) =>
+      formatReferences(readValue(entry, element, ['_references', '_dependencies']), context),
+    parse: (text, element, context) => ({ [element.uuid + '_references']: parseReferences(text, context) }),
+    semantic: {
+      type: 'Page',
+      values: (element, entry, context) =>
+        referencedPageNames(readValue(entry, element, ['_references', '_dependencies']), context)
+          .map(pageName => ({ value: pageName }))
+    }
+  });
+}
+
+// Renders a single field as wikitext; unknown categories are recorded in context.unknownCategories
+function renderElement(element, entry, context) {
+  const renderer = renderers.get(element.elementcategory);
+  if (!renderer) {
+    if (context.unknownCategories) {
+      const names = context.unknownCategories.get(element.elementcategory) || new Set();
+      names.add(`${context.listName}/${element.name}`);
+      context.unknownCategories.set(element.elementcategory, names);
+    }
+    return '';
+  }
+  return renderer.render(element, entry, context) || '';
+}
+
+export {
+  ELEMENT_CATEGORIES,
+  registerRenderer,
+  getRenderer,
+  renderElement,
+  readValue,
+  formatDate,
+  formatDateRange,
+  formatLink
+};
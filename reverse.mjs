@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import { getRenderer, renderElement } from './renderers.mjs';
+import { propertyName, infoboxTemplateName, renderAnnotatedElement } from './semantic.mjs';
+import { loadManifest } from './manifest.mjs';
+import { resolveWorkspaceTitles } from './outline.mjs';
+
+function buildTitleMaps(workspaceTitles) {
+  const entryUuidToPageNameMap = {};
+  const pageNameToEntryUuidMap = {};
+  for (const { entryTitles } of workspaceTitles.values()) {
+    for (const [uuid, { title }] of entryTitles) {
+      entryUuidToPageNameMap[uuid] = title;
+      pageNameToEntryUuidMap[title] = uuid;
+    }
+  }
+  return { entryUuidToPageNameMap, pageNameToEntryUuidMap };
+}
+
+// Extracts field values from a page generated by transformZenkitToMediaWikiFiles, both from
+// `== Field ==` sections and from the parameters of the list's infobox call
+function parsePageFields(content, listName) {
+  const fields = new Map();
+
+  const infoboxStart = content.indexOf(`{{${infoboxTemplateName(listName)}\n`);
+  if (infoboxStart !== -1) {
+    const infoboxEnd = content.indexOf('\n}}', infoboxStart);
+    const body = content.slice(infoboxStart, infoboxEnd === -1 ? undefined : infoboxEnd);
+    for (const param of body.split('\n|').slice(1)) {
+      const separator = param.indexOf('=');
+      if (separator === -1) continue;
+      fields.set(param.slice(0, separator).trim(), param.slice(separator + 1).trim());
+    }
+  }
+
+  const sections = content.split(/^==\s*([^=].*?)\s*==\s*$/m);
+  for (let i = 1; i < sections.length; i += 2) {
+    fields.set(sections[i], sections[i + 1].trim());
+  }
+
+  return fields;
+}
+
+// Replaces Semantic MediaWiki annotations with their displayed text
+function stripAnnotations(text) {
+  return text.replace(/\[\[[^\]|]+?::([^\]|]*)(?:\|([^\]]*))?\]\]/g, (match, value, label) => label ?? value);
+}
+
+function normalize(text) {
+  return text.replace(/[ \t]+$/gm, '').trim();
+}
+
+// Compares the fields of one page against the export and returns the changed Zenkit values
+function findEntryChanges(list, entry, content, context, options) {
+  const fields = parsePageFields(content, list.list.name);
+  const renderField = options.semantic ? renderAnnotatedElement : renderElement;
+  const changes = {};
+  const changedElements = [];
+
+  for (const element of list.elements) {
+    const renderer = getRenderer(element.elementcategory);
+    // Computed and metadata fields can't be edited in Zenkit, so they have no parser
+    if (!renderer?.parse) continue;
+
+    const wikiText = fields.get(element.name) ?? fields.get(propertyName(element.name)) ?? '';
+    const exportText = renderField(element, entry, context);
+    if (normalize(wikiText) === normalize(exportText)) continue;
+
+    Object.assign(changes, renderer.parse(stripAnnotations(wikiText), element, context));
+    changedElements.push(element);
+  }
+
+  return { changes, changedElements };
+}
+
+async function readLocalPage(outputDir, record) {
+  const pageFile = path.join(outputDir, record.file);
+  return fs.existsSync(pageFile) ? fs.readFileSync(pageFile, 'utf8') : null;
+}
+
+// Reads the pages generated for every entry in the export (from the output directory, or through
+// options.loadPage) and builds a patch in Zenkit's export schema containing only changed values
+async function extractZenkitChanges(zenkitJson, outputDir, options = {}) {
+  if (!Array.isArray(zenkitJson.lists)) {
+    throw new Error('No lists array found in workspace JSON');
+  }
+
+  const manifest = loadManifest(outputDir);
+  const loadPage = options.loadPage || (record => readLocalPage(outputDir, record));
+  // Page names are resolved for the whole workspace, exactly as the transformer does, so the export
+  // renders the same links it did when the pages were generated
+  const context = buildTitleMaps(resolveWorkspaceTitles(zenkitJson, { subpages: options.subpages }));
+  const patch = { generatedAt: new Date().toISOString(), lists: [], summary: { entries: 0, fields: 0, missingPages: 0 } };
+
+  for (const list of zenkitJson.lists) {
+    if (!list.list || !Array.isArray(list.elements) || !Array.isArray(list.entries)) continue;
+
+    // Merged workspaces rename lists; the patch uses the name the list has in Zenkit
+    const listPatch = { list: { uuid: list.list.uuid, name: list.source?.name ?? list.list.name }, elements: [], entries: [] };
+    const elementUuids = new Set();
+
+    for (const entry of list.entries) {
+      const record = manifest.entries[entry.uuid];
+      if (!record || record.deleted) continue;
+
+      const content = await loadPage(record, entry);
+      if (content === null || content === undefined) {
+        console.warn(`No page found for ${list.list.name}/${entry.displayString}`);
+        patch.summary.missingPages++;
+        continue;
+      }
+
+      const { changes, changedElements } = findEntryChanges(list, entry, content, { ...context, listName: list.list.name }, options);
+      if (changedElements.length === 0) continue;
+
+      console.log(`Changed: ${list.list.name}/${entry.displayString} (${changedElements.map(element => element.name).join(', ')})`);
+      listPatch.entries.push({ uuid: entry.uuid, id: entry.id, displayString: entry.displayString, ...changes });
+      patch.summary.entries++;
+      patch.summary.fields += changedElements.length;
+
+      for (const element of changedElements) {
+        if (elementUuids.has(element.uuid)) continue;
+        elementUuids.add(element.uuid);
+        listPatch.elements.push({ uuid: element.uuid, name: element.name, elementcategory: element.elementcategory });
+      }
+    }
+
+    if (listPatch.entries.length > 0) patch.lists.push(listPatch);
+  }
+
+  console.log(`Found ${patch.summary.fields} changed field(s) in ${patch.summary.entries} entries`);
+  return patch;
+}
+
+export { extractZenkitChanges, parsePageFields, findEntryChanges };
@@ -0,0 +1,84 @@
+import { getRenderer, renderElement } from './renderers.mjs';
+import { normalizeTitle } from './titles.mjs';
+
+// Property and template parameter names may not contain characters that MediaWiki
+// uses for links, templates or annotations
+function propertyName(elementName) {
+  return elementName
+    .replace(/[[\]{}|#<>=:]/g, ' ')
+    .replace(/_/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function infoboxTemplateName(listName) {
+  return normalizeTitle(`${listName} infobox`);
+}
+
+function propertyType(element) {
+  return getRenderer(element.elementcategory)?.semantic?.type || null;
+}
+
+// Renders a field as Semantic MediaWiki annotations ([[Property::Value|Label]]), falling back
+// to the plain rendering for values that cannot be annotated
+function renderAnnotatedElement(element, entry, context) {
+  const semantic = getRenderer(element.elementcategory)?.semantic;
+  const values = semantic?.values(element, entry, context);
+  if (!values) return renderElement(element, entry, context);
+
+  const property = propertyName(element.name);
+  return values
+    .map(({ value, label }) => label && label !== value ?
+      `[[${property}::${value}|${label}]]` : `[[${property}::${value}]]`)
+    .join(', ');
+}
+
+function buildInfoboxTemplate(listName, elements) {
+  const rows = elements.map(element => {
+    const param = propertyName(element.name);
+    return `{{#if:{{{${param}|}}}|
+{{!}}-
+! ${param}
+{{!}} {{{${param}}}}
+}}`;
+  }).join('\n');
+
+  const usage = elements.map(element => `|${propertyName(element.name)}=`).join('\n');
+
+  return `<includeonly>{| class="wikitable infobox" style="float: right; clear: right; width: 22em; margin: 0 0 1em 1em;"
+|+ {{{title|{{SUBPAGENAME}}}}}
+${rows}
+|}</includeonly><noinclude>
+Infobox for entries of the [[:Category:${listName}|${listName}]] list, generated from the Zenkit list fields.
+
+<pre>
+{{${infoboxTemplateName(listName)}
+${usage}
+}}
+</pre>
+</noinclude>`;
+}
+
+function buildInfoboxCall(listName, fields) {
+  let call = `{{${infoboxTemplateName(listName)}\n`;
+  for (const { name, value } of fields) {
+    call += `|${propertyName(name)}=${value}\n`;
+  }
+  return call + '}}\n';
+}
+
+function buildPropertyPage(name, type) {
+  return `This property holds the Zenkit field "${name}".
+
+[[Has type::${type}]]`;
+}
+
+export {
+  propertyName,
+  propertyType,
+  infoboxTemplateName,
+  renderAnnotatedElement,
+  buildInfoboxTemplate,
+  buildInfoboxCall,
+  buildPropertyPage
+};
@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import { subpageLabel } from './outline.mjs';
+
+// Defaults reproduce the pages the uploader generated before the site became configurable
+const DEFAULT_SITE_CONFIG = {
+  title: 'Guide to Emergence',
+  // Wiki title of the generated page whose content becomes the Main Page, or null for none
+  mainPage: 'Homepage/Homepage',
+  navigation: [
+    { page: 'Main Page', label: 'Home' },
+    { page: 'Lists', label: 'All Lists' },
+    { page: 'Site Map', label: 'Site Map' }
+  ],
+  // Each section has either explicit links or `lists: true` to link every list
+  sidebar: [
+    {
+      heading: 'navigation',
+      links: [
+        { page: 'mainpage', label: 'Home' },
+        { page: 'Lists', label: 'All Lists' },
+        { page: 'Site Map', label: 'Site Map' }
+      ]
+    },
+    { heading: 'Lists', lists: true }
+  ],
+  // Lists named here come first in this order, the rest follow alphabetically
+  listOrder: [],
+  // Lists left out of the index, site map and sidebar (they still get their own list page)
+  hiddenLists: ['Homepage'],
+  pages: {
+    navigation: true,
+    siteMap: true,
+    listPages: true,
+    listIndex: true,
+    sidebar: true,
+    mainPage: true
+  },
+  // Directory with overrides for the templates below, named `<template>.wiki`
+  templatesDir: null
+};
+
+const DEFAULT_TEMPLATES = {
+  navigation: `<div class="main-navigation">
+{| class="wikitable" style="width: 100%; background-color: #f8f9fa; margin: 1em 0;"
+|-
+| style="padding: 1em;" |
+%{links}
+|}
+</div>`,
+  'site-map': '= %{siteTitle} Site Map =\n\n{{Navigation}}\n\n%{sections}',
+  'list-page': '= %{listTitle} =\n\n{{Navigation}}\n\n%{description}== Pages in this Section ==\n\n%{pages}',
+  'list-index': '= %{siteTitle} Lists =\n\n{{Navigation}}\n\nThis page provides quick access to all major sections of the %{siteTitle}.\n\n%{lists}',
+  sidebar: '%{sections}',
+  'main-page': '{{Navigation}}\n\n%{content}'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects are merged key by key, arrays and scalars from the override replace the default
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+function resolveSiteConfig(config = {}, baseDir = process.cwd()) {
+  const site = mergeConfig(DEFAULT_SITE_CONFIG, config);
+  if (site.templatesDir) site.templatesDir = path.resolve(baseDir, site.templatesDir);
+  return site;
+}
+
+// Reads a JSON site config; template paths in it are relative to the config file
+function loadSiteConfig(configPath) {
+  if (!configPath) return resolveSiteConfig();
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return resolveSiteConfig(config, path.dirname(path.resolve(configPath)));
+}
+
+// Replaces `%{name}` placeholders; unknown placeholders are left in place so typos stay visible
+function fillTemplate(template, values) {
+  return template.replace(/%\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+function renderSiteTemplate(site, name, values) {
+  let template = DEFAULT_TEMPLATES[name];
+  if (site.templatesDir) {
+    const overridePath = path.join(site.templatesDir, `${name}.wiki`);
+    if (fs.existsSync(overridePath)) template = fs.readFileSync(overridePath, 'utf8');
+  }
+  return fillTemplate(template, { siteTitle: site.title, ...values });
+}
+
+function displayName(name) {
+  return name.replace(/_/g, ' ');
+}
+
+// Pages are listed under their list, so links show the title without the list prefix
+function pageLabel(listName, pageTitle) {
+  return displayName(pageTitle.startsWith(`${listName}/`) ? pageTitle.slice(listName.length + 1) : pageTitle);
+}
+
+// List titles in site order, without hidden lists
+function orderedLists(site, structure) {
+  const lists = Object.keys(structure).filter(name => !site.hiddenLists.includes(name));
+  const rank = name => {
+    const index = site.listOrder.indexOf(name);
+    return index === -1 ? site.listOrder.length : index;
+  };
+  return lists.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function buildNavigation(site) {
+  const links = site.navigation.map(({ page, label }) => `* [[${page}|${label || page}]]`).join('\n');
+  return renderSiteTemplate(site, 'navigation', { links });
+}
+
+function buildSiteMap(site, structure) {
+  let sections = '';
+  for (const listName of orderedLists(site, structure)) {
+    sections += `== ${displayName(listName)} ==\n`;
+    for (const page of [...structure[listName]].sort((a, b) => a.localeCompare(b))) {
+      sections += `* [[${page}|${pageLabel(listName, page)}]]\n`;
+    }
+    sections += '\n';
+  }
+  return renderSiteTemplate(site, 'site-map', { sections });
+}
+
+// Subpages are listed below their parent page. With a group-by field (outline.groups), the
+// top-level pages are split into one section per value, in the order of outline.groups.order.
+function buildListPage(site, listName, pages, description, outline = {}) {
+  const parents = outline.parents || {};
+  const listed = new Set(pages);
+  const children = new Map();
+  for (const page of pages) {
+    const parent = listed.has(parents[page]) ? parents[page] : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(page);
+  }
+
+  const sortedChildren = parent => (children.get(parent) || []).sort((a, b) => a.localeCompare(b));
+  const pageTree = (page, parent, depth) =>
+    `${'*'.repeat(depth)} [[${page}|${parent ? displayName(subpageLabel(parent, page)) : pageLabel(listName, page)}]]\n` +
+    sortedChildren(page).map(child => pageTree(child, page, depth + 1)).join('');
+  const pageList = roots => roots.map(page => pageTree(page, null, 1)).join('');
+
+  let pageLinks = '';
+  const groups = outline.groups;
+  if (groups) {
+    const byGroup = new Map();
+    for (const page of sortedChildren(null)) {
+      const label = groups.pages[page] || '';
+      if (!byGroup.has(label)) byGroup.set(label, []);
+      byGroup.get(label).push(page);
+    }
+    const rank = label => {
+      const index = groups.order.indexOf(label);
+      return label === '' ? Infinity : index === -1 ? groups.order.length : index;
+    };
+    for (const label of [...byGroup.keys()].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))) {
+      pageLinks += `=== ${label || `No ${groups.field}`} ===\n${pageList(byGroup.get(label))}\n`;
+    }
+  } else {
+    pageLinks = pageList(sortedChildren(null));
+  }
+
+  return renderSiteTemplate(site, 'list-page', {
+    listName,
+    listTitle: displayName(listName),
+    description: description ? `${description}\n\n` : '',
+    pages: pageLinks
+  });
+}
+
+function buildListIndex(site, structure) {
+  const lists = orderedLists(site, structure)
+    .map(listName => `* [[${listName}|${displayName(listName)}]] (${structure[listName].length} pages)\n`)
+    .join('');
+  return renderSiteTemplate(site, 'list-index', { lists });
+}
+
+function buildSidebar(site, structure) {
+  const sections = site.sidebar.map(section => {
+    const links = section.lists ?
+      orderedLists(site, structure).map(name => ({ page: name, label: displayName(name) })) :
+      section.links || [];
+    return [`* ${section.heading}`, ...links.map(({ page, label }) => `** ${page}|${label || page}`)].join('\n');
+  }).join('\n');
+  return renderSiteTemplate(site, 'sidebar', { sections });
+}
+
+function buildMainPage(site, content) {
+  return renderSiteTemplate(site, 'main-page', { content });
+}
+
+export {
+  DEFAULT_SITE_CONFIG,
+  DEFAULT_TEMPLATES,
+  resolveSiteConfig,
+  loadSiteConfig,
+  fillTemplate,
+  renderSiteTemplate,
+  orderedLists,
+  buildNavigation,
+  buildSiteMap,
+  buildListPage,
+  buildListIndex,
+  buildSidebar,
+  buildMainPage
+};
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { loadManifest, manifestPath, hashContent, relativeKey } from './manifest.mjs';
+import { loadTitleMap, titleForFile, sameTitle } from './titles.mjs';
+import { readJournal, outstandingFailures } from './journal.mjs';
+
+function listFiles(dir, filter) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(dirent => {
+    const fullPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) return listFiles(fullPath, filter);
+    return filter(dirent.name) ? [fullPath] : [];
+  });
+}
+
+// Compares the export (if given), the output directory and the sync manifest without touching
+// the wiki, and returns what the next transform and upload would pick up
+function getSyncStatus(outputDir, zenkitJson = null) {
+  const manifest = loadManifest(outputDir);
+  const titles = loadTitleMap(outputDir);
+  const entries = Object.entries(manifest.entries);
+  const journal = readJournal(outputDir);
+  const status = {
+    outputDir,
+    manifestPath: manifestPath(outputDir),
+    hasManifest: fs.existsSync(manifestPath(outputDir)),
+    export: null,
+    pages: { local: 0, new: [], changed: [] },
+    files: { local: 0, new: [], changed: [] },
+    moves: [],
+    deletions: [],
+    uploads: Object.values(manifest.uploads || {}),
+    lastUpload: journal && { startedAt: journal.startedAt, finished: journal.finished, failures: outstandingFailures(journal) }
+  };
+
+  if (zenkitJson) {
+    status.export = { entries: 0, new: [], changed: [], removed: [] };
+    const seen = new Set();
+    for (const list of zenkitJson.lists || []) {
+      if (!list.list || !Array.isArray(list.entries)) continue;
+      for (const entry of list.entries) {
+        const record = manifest.entries[entry.uuid];
+        const name = `${list.list.name}/${entry.displayString}`;
+        seen.add(entry.uuid);
+        status.export.entries++;
+        if (!record || record.deleted) status.export.new.push(name);
+        else if (entry.updated_at && record.updatedAt !== entry.updated_at) status.export.changed.push(name);
+      }
+    }
+    status.export.removed = entries
+      .filter(([uuid, record]) => !record.deleted && !seen.has(uuid))
+      .map(([, record]) => record.title);
+  }
+
+  const mediaDir = path.join(outputDir, 'Media');
+  const pageFiles = listFiles(outputDir, name => name.endsWith('.txt') || name.endsWith('.md'))
+    .filter(file => !file.startsWith(mediaDir + path.sep));
+  for (const pageFile of pageFiles) {
+    const key = relativeKey(outputDir, pageFile);
+    const synced = manifest.pages[key];
+    const title = titleForFile(titles, key);
+    status.pages.local++;
+    if (!synced) status.pages.new.push(title);
+    else if (synced.uploadedHash !== hashContent(fs.readFileSync(pageFile, 'utf8'))) status.pages.changed.push(title);
+  }
+
+  for (const file of listFiles(mediaDir, () => true)) {
+    const synced = manifest.files[relativeKey(outputDir, file)];
+    const { size, mtimeMs } = fs.statSync(file);
+    const name = path.relative(mediaDir, file).split(path.sep).join('/');
+    status.files.local++;
+    if (!synced) status.files.new.push(name);
+    else if (synced.size !== size || synced.mtimeMs !== mtimeMs) status.files.changed.push(name);
+  }
+
+  for (const [, record] of entries) {
+    if (!record.wikiTitle) continue;
+    if (record.deleted) {
+      status.deletions.push({ title: record.wikiTitle, deletedAt: record.deletedAt, tagged: Boolean(record.obsoleteTaggedAt) });
+    } else if (record.file) {
+      const pageTitle = titleForFile(titles, record.file);
+      if (!sameTitle(pageTitle, record.wikiTitle)) status.moves.push({ from: record.wikiTitle, to: pageTitle });
+    }
+  }
+
+  return status;
+}
+
+function formatNames(names, limit = 10) {
+  const lines = names.slice(0, limit).map(name => `    ${name}\n`);
+  if (names.length > limit) lines.push(`    … and ${names.length - limit} more\n`);
+  return lines.join('');
+}
+
+function formatStatus(status) {
+  let text = `Output directory: ${status.outputDir}\n`;
+  text += `Sync manifest: ${status.hasManifest ? status.manifestPath : 'none (nothing transformed yet)'}\n\n`;
+
+  if (status.export) {
+    const { entries, new: added, changed, removed } = status.export;
+    text += `Export: ${entries} entries, ${added.length} new, ${changed.length} changed, ${removed.length} removed since last transform\n`;
+    text += formatNames([...added.map(name => `+ ${name}`), ...changed.map(name => `~ ${name}`), ...removed.map(name => `- ${name}`)]);
+  }
+
+  text += `Pages: ${status.pages.local} local, ${status.pages.new.length} never uploaded, ${status.pages.changed.length} changed since last upload\n`;
+  text += formatNames([...status.pages.new.map(name => `+ ${name}`), ...status.pages.changed.map(name => `~ ${name}`)]);
+  text += `Files: ${status.files.local} local, ${status.files.new.length} never uploaded, ${status.files.changed.length} changed since last upload\n`;
+  text += formatNames([...status.files.new.map(name => `+ ${name}`), ...status.files.changed.map(name => `~ ${name}`)]);
+
+  text += `Pending moves: ${status.moves.length}\n`;
+  text += formatNames(status.moves.map(({ from, to }) => `↪ "${from}" -> "${to}"`));
+  if (status.uploads.length > 0) {
+    text += `Interrupted file uploads: ${status.uploads.length} (continued by the next upload)\n`;
+    text += formatNames(status.uploads.map(({ filename, offset, size }) => `↪ ${filename} (${offset} of ${size} bytes sent)`));
+  }
+  text += `Pages of deleted entries: ${status.deletions.length}\n`;
+  text += formatNames(status.deletions.map(({ title, deletedAt, tagged }) => `- "${title}" (deleted ${deletedAt}${tagged ? ', tagged obsolete' : ''})`));
+  if (status.lastUpload) {
+    const { startedAt, finished, failures } = status.lastUpload;
+    text += `Last upload: started ${startedAt}, ${finished ? 'finished' : 'interrupted (continue it with --resume)'}, ${failures.length} failed\n`;
+    text += formatNames(failures.map(({ type, title, code }) => `✗ ${type} "${title}": ${code}`));
+  }
+  return text;
+}
+
+export { getSyncStatus, formatStatus };
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import { pipeline, Transform } from 'stream';
+import StreamJson from 'stream-json';
+import Pick from 'stream-json/filters/Pick.js';
+import Assembler from 'stream-json/Assembler.js';
+import { resolveWorkspaces, createWorkspaceMerger, createFilterReport, checkFilters, filterList } from './workspace.mjs';
+import { isEntryStream } from './validate.mjs';
+
+// Turns the tokens of the `lists` array into one { list, index, streamed } per list and
+// { entry } per entry, then { end, trailing } at the end of the list. A list whose entries are an
+// array comes out with the keys read before them, and the entries follow one by one (streamed);
+// the keys after them come as `trailing`. Values are assembled token by token, so at most one
+// entry is held at a time.
+function listEvents() {
+  // 0 before the lists, 1 between them, 2 in a list, 3 in its entries
+  let depth = 0;
+  let index = -1;
+  let list = null;
+  let trailing = null;
+  let key = null;
+  let value = null;
+
+  const complete = (result, push) => {
+    // Strings the parser builds keep whole chunks of the file alive, and titles and UUIDs are kept
+    // until the end of the transform; a copy keeps just the strings
+    const copy = result === undefined ? result : JSON.parse(JSON.stringify(result));
+    if (depth === 1) {
+      push({ list: copy, index, streamed: false });
+      push({ end: true, trailing: {} });
+    } else if (depth === 2) {
+      (trailing || list)[key] = copy;
+    } else {
+      push({ entry: copy });
+    }
+  };
+
+  return new Transform({
+    objectMode: true,
+    // Parsing waits while an entry is waiting to be converted, instead of reading ahead
+    readableHighWaterMark: 1,
+    transform(token, encoding, callback) {
+      const push = event => this.push(event);
+      if (value) {
+        value.consume(token);
+      } else if (depth === 0) {
+        if (token.name !== 'startArray') return callback(new Error('"lists" is not an array'));
+        depth = 1;
+        return callback();
+      } else if (depth === 1 && token.name === 'endArray') {
+        depth = 0;
+        return callback();
+      } else if (depth === 1 && token.name === 'startObject') {
+        index++;
+        list = {};
+        trailing = null;
+        depth = 2;
+        return callback();
+      } else if (depth === 2 && token.name === 'keyValue') {
+        key = token.value;
+        return callback();
+      } else if (depth === 2 && token.name === 'endObject') {
+        if (!trailing) push({ list, index, streamed: false });
+        push({ end: true, trailing: trailing || {} });
+        list = trailing = null;
+        depth = 1;
+        return callback();
+      } else if (depth === 2 && token.name === 'startArray' && key === 'entries' && !trailing) {
+        push({ list, index, streamed: true });
+        trailing = {};
+        depth = 3;
+        return callback();
+      } else if (depth === 3 && token.name === 'endArray') {
+        depth = 2;
+        return callback();
+      } else {
+        if (depth === 1) index++;
+        value = new Assembler();
+        value.consume(token);
+      }
+      if (value.done) {
+        complete(value.current, push);
+        value = null;
+      }
+      callback();
+    }
+  });
+}
+
+// Parses the lists of an export file one at a time, and the entries of each list one at a time,
+// so only the entry being converted is held in memory instead of the whole export. A list's
+// `entries` is then an async iterable to be read once, before the next list; whatever is left
+// unread is skipped. Keys that follow `entries` in the file are only known once the entries are
+// read: they are recorded in `trailing`, by list index, and given with the list when the same map
+// is passed to a later read of the file.
+async function* readLists(file, trailing = new Map()) {
+  const events = pipeline(
+    fs.createReadStream(file),
+    StreamJson.parser({ streamValues: false }),
+    Pick.pick({ filter: 'lists' }),
+    listEvents(),
+    // Errors reach the loops below through the last stream
+    () => {}
+  )[Symbol.asyncIterator]();
+  const next = async () => {
+    try {
+      const { value, done } = await events.next();
+      return done ? { end: true, trailing: {} } : value;
+    } catch (error) {
+      throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+  };
+
+  for (let event = await next(); !event.end; event = await next()) {
+    const { list, index, streamed } = event;
+    if (!streamed) {
+      yield list;
+      await next();
+      continue;
+    }
+
+    let ended = false;
+    const nextEntry = async () => {
+      const entryEvent = await next();
+      if (!entryEvent.end) return entryEvent;
+      ended = true;
+      if (Object.keys(entryEvent.trailing).length > 0) trailing.set(index, entryEvent.trailing);
+      return null;
+    };
+    list.entries = (async function* () {
+      for (let entryEvent = await nextEntry(); entryEvent; entryEvent = await nextEntry()) yield entryEvent.entry;
+    })();
+    yield Object.assign(list, trailing.get(index));
+    while (!ended) await nextEntry();
+  }
+}
+
+// An export, or the `workspaces` of a config file, read list by list. The transform reads the lists
+// twice, titling entries first and rendering them second; lists() starts a new read each time.
+// Filters are applied to every list as it is read and `report` lists what they left out once the
+// lists were read through.
+function streamExport({ input, workspaces, baseDir = process.cwd(), filters = {} }) {
+  checkFilters(filters);
+  const resolved = workspaces ? resolveWorkspaces(workspaces, baseDir) : null;
+  if (!resolved && !fs.existsSync(input)) throw new Error(`Zenkit export not found: ${input}`);
+  const report = createFilterReport();
+  // Keys found after the entries of a list on the first read, by export file
+  const trailing = new Map();
+  const read = file => {
+    if (!trailing.has(file)) trailing.set(file, new Map());
+    return readLists(file, trailing.get(file));
+  };
+  let reads = 0;
+
+  async function* exportedLists() {
+    if (!resolved) {
+      yield* read(input);
+      return;
+    }
+    const merge = createWorkspaceMerger();
+    for (const workspace of resolved) {
+      for await (const list of read(workspace.input)) {
+        if (list.list) yield merge(workspace, list);
+      }
+    }
+  }
+
+  async function* lists() {
+    const firstRead = reads++ === 0;
+    for await (const list of exportedLists()) {
+      const published = filterList(list, filters, firstRead ? report : null);
+      if (published) {
+        yield published;
+      } else if (firstRead && isEntryStream(list.entries)) {
+        // References to the entries of a left-out list aren't dangling
+        for await (const entry of list.entries) report.hidden.add(entry.uuid);
+      }
+    }
+  }
+
+  return { lists, report };
+}
+
+export { readLists, streamExport };
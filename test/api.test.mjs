@@ -0,0 +1,81 @@
+import test, { before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockWiki } from './mock-wiki.mjs';
+import { silenceConsole } from './helpers.mjs';
+import { apiRequest, apiStats, ApiError } from '../api.mjs';
+import { WMAPI } from '../upload.mjs';
+
+let wiki;
+
+before(() => silenceConsole());
+
+beforeEach(async () => {
+  wiki = await startMockWiki();
+  await WMAPI.authenticate(wiki.apiUrl, { method: 'password', username: wiki.account.name, password: wiki.account.password });
+});
+
+afterEach(() => wiki.close());
+
+async function edit(title, text) {
+  const token = await WMAPI.getCSRFToken(wiki.apiUrl);
+  return apiRequest(wiki.apiUrl, { action: 'edit', title, text, token }, { method: 'POST', returnErrors: true });
+}
+
+test('requests carry maxlag and, once signed in, assert the session', async () => {
+  await edit('Probe', 'text');
+  const [request] = wiki.requestsFor('edit');
+  assert.equal(request.params.assert, 'user');
+  assert.ok(request.params.maxlag !== undefined);
+});
+
+test('a badtoken error fetches a new CSRF token and retries the edit', async () => {
+  wiki.failNext('edit', 'badtoken');
+  const result = await edit('Token', 'text');
+
+  assert.equal(result.edit.result, 'Success');
+  assert.equal(wiki.requestsFor('edit').length, 2);
+  assert.ok(wiki.requestsFor('query', params => params.meta === 'tokens' && !params.type).length >= 2);
+});
+
+test('maxlag and 503 responses are waited out for as long as Retry-After says', async () => {
+  wiki.failNext('edit', 'maxlag');
+  wiki.failNext('edit', 'http503');
+  const { throttled } = apiStats;
+  const started = Date.now();
+  const result = await edit('Lagged', 'text');
+
+  assert.equal(result.edit.result, 'Success');
+  assert.equal(apiStats.throttled - throttled, 2);
+  assert.ok(Date.now() - started >= 2000, 'retried without waiting');
+  assert.equal(wiki.pageText('Lagged'), 'text');
+});
+
+test('server errors are retried after a delay', async () => {
+  wiki.failNext('query', 'http500');
+  const content = await WMAPI.getPageContent(wiki.apiUrl, 'Missing page');
+  assert.equal(content, null);
+  assert.equal(wiki.requestsFor('query', params => params.titles === 'Missing page').length, 2);
+});
+
+test('a lost session signs in again and retries with a token of the new session', async () => {
+  const { relogins } = apiStats;
+  await edit('Before', 'text');
+  wiki.expireSessions();
+  const result = await edit('After', 'text');
+
+  assert.equal(result.edit.result, 'Success');
+  assert.equal(apiStats.relogins - relogins, 1);
+  assert.equal(wiki.requestsFor('login').length, 2);
+  assert.equal(wiki.pageText('After'), 'text');
+});
+
+test('other API errors are returned to callers that handle them, and thrown otherwise', async () => {
+  await edit('Existing', 'text');
+  const token = await WMAPI.getCSRFToken(wiki.apiUrl);
+  const result = await apiRequest(wiki.apiUrl, { action: 'edit', title: 'Existing', text: 'again', createonly: '1', token }, { method: 'POST', returnErrors: true });
+  assert.equal(result.error.code, 'articleexists');
+
+  wiki.failNext('query', 'internal_api_error_MWException');
+  await assert.rejects(WMAPI.getPageContent(wiki.apiUrl, 'Existing'), error => error instanceof ApiError && error.code === 'internal_api_error_MWException');
+  assert.equal(wiki.requestsFor('query', params => params.titles === 'Existing').length, 1);
+});
@@ -0,0 +1,37 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mock } from 'node:test';
+import { transformZenkitToMediaWikiFiles } from '../transform.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const FIXTURE_FILES = path.join(FIXTURES, 'lists');
+
+function loadFixture(name = 'workspace.json') {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+// Output directories are removed when the test file has run
+const tempDirs = [];
+process.on('exit', () => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// An output directory of its own, in a temporary directory that also holds its sync manifest
+function makeOutputDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zenkit2wiki-test-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'mediawiki-pages');
+}
+
+// The transformer and uploader report every step on the console; tests only look at results
+function silenceConsole() {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+}
+
+async function transformFixture(outputDir, zenkitJson = loadFixture(), options = {}) {
+  await transformZenkitToMediaWikiFiles(zenkitJson, outputDir, FIXTURE_FILES, false, options);
+}
+
+export { FIXTURES, FIXTURE_FILES, loadFixture, makeOutputDir, silenceConsole, transformFixture };
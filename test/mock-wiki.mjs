@@ -0,0 +1,379 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// An in-process stand-in for the MediaWiki action API, covering what the uploader uses: login
+// and tokens, revisions and imageinfo queries, edit, upload (also chunked through the stash),
+// move and delete. Responses follow the default JSON format (formatversion 1). Errors the real
+// wiki produces under load can be injected with failNext().
+
+const DEFAULT_RIGHTS = ['edit', 'createpage', 'upload', 'reupload', 'move', 'delete', 'editinterface'];
+
+function normalizeTitle(title) {
+  const spaced = String(title).replace(/_/g, ' ').trim();
+  const colon = spaced.indexOf(':');
+  const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+  if (colon > 0 && ['File', 'Template', 'Category', 'Talk', 'MediaWiki', 'Property'].includes(spaced.slice(0, colon))) {
+    return `${spaced.slice(0, colon)}:${capitalize(spaced.slice(colon + 1))}`;
+  }
+  return capitalize(spaced);
+}
+
+function sha1(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// MediaWiki timestamps have second precision
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';').map(part => part.trim().split('=')).filter(([name]) => name));
+}
+
+// Fields of a multipart/form-data body; file parts stay Buffers
+function parseMultipart(body, contentType) {
+  const boundary = Buffer.from(`--${/boundary=(.+)$/.exec(contentType)[1]}`);
+  const fields = {};
+  let start = body.indexOf(boundary) + boundary.length;
+  for (;;) {
+    const end = body.indexOf(boundary, start);
+    if (end === -1) break;
+    const part = body.subarray(start + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    const content = part.subarray(headerEnd + 4);
+    const name = /name="([^"]+)"/.exec(headers)[1];
+    fields[name] = /filename="/.test(headers) ? content : content.toString();
+    start = end + boundary.length;
+  }
+  return fields;
+}
+
+function readParams(req, url) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      const params = Object.fromEntries(url.searchParams);
+      const body = Buffer.concat(chunks);
+      const contentType = req.headers['content-type'] || '';
+      if (contentType.startsWith('multipart/form-data')) {
+        Object.assign(params, parseMultipart(body, contentType));
+      } else if (body.length > 0) {
+        Object.assign(params, Object.fromEntries(new URLSearchParams(body.toString())));
+      }
+      resolve(params);
+    });
+  });
+}
+
+// Starts the mock on a free port and resolves to a handle for inspecting and changing its state
+//
+// options: username, password, rights
+function startMockWiki(options = {}) {
+  const account = {
+    name: options.username || 'Zenkit bot',
+    password: options.password || 'secret',
+    rights: options.rights || DEFAULT_RIGHTS
+  };
+
+  // Pages by normalized title: { pageid, revisions: [{ revid, timestamp, user, comment, content }] }
+  const pages = new Map();
+  // Uploaded files by name: { sha1, size, content, timestamp, user }
+  const files = new Map();
+  const stash = new Map();
+  const sessions = new Map();
+  const faults = [];
+  const requests = [];
+  let lastPageId = 0;
+  let lastRevisionId = 0;
+  let lastStashKey = 0;
+
+  function savePage(title, content, user, comment = '') {
+    let page = pages.get(title);
+    if (!page) {
+      page = { pageid: ++lastPageId, revisions: [] };
+      pages.set(title, page);
+    }
+    const revision = { revid: ++lastRevisionId, timestamp: timestamp(), user, comment, content };
+    page.revisions.push(revision);
+    return revision;
+  }
+
+  function latest(title) {
+    return pages.get(title)?.revisions.at(-1) || null;
+  }
+
+  // Pages of a titles query, keyed by page ID as the API does; missing pages get negative IDs
+  function queryPages(params, describe) {
+    const normalized = [];
+    const result = {};
+    let missingId = 0;
+    for (const requested of String(params.titles).split('|')) {
+      const title = normalizeTitle(requested);
+      if (title !== requested) normalized.push({ from: requested, to: title });
+      const page = describe(title);
+      if (page) result[page.pageid] = { ns: 0, title, ...page };
+      else result[--missingId] = { ns: 0, title, missing: '' };
+    }
+    return { query: { ...(normalized.length > 0 ? { normalized } : {}), pages: result } };
+  }
+
+  function revisionOutput({ content, ...revision }, rvprop) {
+    const props = String(rvprop || 'ids|timestamp|user|content').split('|');
+    const output = {};
+    if (props.includes('ids')) output.revid = revision.revid;
+    if (props.includes('timestamp')) output.timestamp = revision.timestamp;
+    if (props.includes('user')) output.user = revision.user;
+    if (props.includes('content')) {
+      output.contentformat = 'text/x-wiki';
+      output.contentmodel = 'wikitext';
+      output['*'] = content;
+    }
+    return output;
+  }
+
+  function query(params, session) {
+    if (params.meta === 'tokens') {
+      if (params.type === 'login') return { query: { tokens: { logintoken: `${crypto.randomUUID()}+\\` } } };
+      return { query: { tokens: { csrftoken: session ? session.token : '+\\' } } };
+    }
+    if (params.meta === 'userinfo') {
+      if (!session) return { query: { userinfo: { id: 0, name: '127.0.0.1', anon: '' } } };
+      return { query: { userinfo: { id: 1, name: account.name, rights: account.rights, groups: ['user'] } } };
+    }
+
+    if (params.prop === 'revisions' && params.revids) {
+      for (const [title, page] of pages) {
+        const revision = page.revisions.find(candidate => String(candidate.revid) === String(params.revids));
+        if (revision) {
+          return { query: { pages: { [page.pageid]: { pageid: page.pageid, ns: 0, title, revisions: [revisionOutput(revision, params.rvprop)] } } } };
+        }
+      }
+      return { query: { badrevids: { [params.revids]: { revid: Number(params.revids), missing: '' } } } };
+    }
+
+    if (params.prop === 'revisions') {
+      return queryPages(params, title => {
+        const page = pages.get(title);
+        if (!page) return null;
+        // With rvlimit, the newest revisions first, down to rvendid
+        const revisions = params.rvlimit ?
+          page.revisions.filter(revision => !params.rvendid || revision.revid >= Number(params.rvendid)).reverse().slice(0, Number(params.rvlimit)) :
+          [page.revisions.at(-1)];
+        return { pageid: page.pageid, revisions: revisions.map(revision => revisionOutput(revision, params.rvprop)) };
+      });
+    }
+
+    if (params.prop === 'imageinfo') {
+      return queryPages(params, title => {
+        const file = files.get(title.replace(/^File:/, ''));
+        if (!file) return null;
+        return { pageid: pages.get(title)?.pageid || 0, imagerepository: 'local', imageinfo: [{ sha1: file.sha1, size: file.size }] };
+      });
+    }
+
+    return { error: { code: 'badvalue', info: 'The mock wiki does not support this query.' } };
+  }
+
+  function login(params, res) {
+    if (params.lgname !== account.name && params.lgname?.split('@')[0] !== account.name) {
+      return { login: { result: 'Failed', reason: 'Incorrect username or password entered.' } };
+    }
+    if (params.lgpassword !== account.password) {
+      return { login: { result: 'Failed', reason: 'Incorrect username or password entered.' } };
+    }
+    const id = crypto.randomUUID();
+    sessions.set(id, { id, token: `${crypto.randomBytes(8).toString('hex')}+\\` });
+    res.setHeader('Set-Cookie', `mockwiki_session=${id}; Path=/; HttpOnly`);
+    return { login: { result: 'Success', lguserid: 1, lgusername: account.name } };
+  }
+
+  function edit(params) {
+    const title = normalizeTitle(params.title);
+    const current = latest(title);
+    if (params.createonly && current) return { error: { code: 'articleexists', info: 'The article you tried to create has been created already.' } };
+    if (params.nocreate && !current) return { error: { code: 'missingtitle', info: "The page you specified doesn't exist." } };
+    if (current && params.basetimestamp && current.timestamp > params.basetimestamp) {
+      return { error: { code: 'editconflict', info: 'Edit conflict.' } };
+    }
+    if (current && current.content === params.text) {
+      return { edit: { result: 'Success', pageid: pages.get(title).pageid, title, contentmodel: 'wikitext', nochange: '' } };
+    }
+    const revision = savePage(title, params.text, account.name, params.summary);
+    return {
+      edit: {
+        result: 'Success',
+        pageid: pages.get(title).pageid,
+        title,
+        contentmodel: 'wikitext',
+        ...(current ? { oldrevid: current.revid } : { new: '' }),
+        newrevid: revision.revid,
+        newtimestamp: revision.timestamp
+      }
+    };
+  }
+
+  function publish(filename, content, params) {
+    const name = normalizeTitle(filename);
+    files.set(name, { sha1: sha1(content), size: content.length, content, timestamp: timestamp(), user: account.name });
+    if (!pages.has(`File:${name}`)) savePage(`File:${name}`, params.text ?? params.comment ?? '', account.name, params.comment);
+    return { upload: { result: 'Success', filename: name, imageinfo: { sha1: sha1(content), size: content.length } } };
+  }
+
+  function upload(params) {
+    if (params.stash && params.offset !== undefined) {
+      const entry = params.filekey ? stash.get(params.filekey) : { key: `stash${++lastStashKey}`, content: Buffer.alloc(0), filename: params.filename };
+      if (!entry) return { error: { code: 'stashfailed', info: 'No chunked upload session with this key.' } };
+      if (Number(params.offset) !== entry.content.length) {
+        return { error: { code: 'stashfailed', info: `Offset mismatch: expected ${entry.content.length}, got ${params.offset}.` } };
+      }
+      entry.content = Buffer.concat([entry.content, params.chunk]);
+      stash.set(entry.key, entry);
+      const done = entry.content.length >= Number(params.filesize);
+      return { upload: done ? { result: 'Success', filekey: entry.key } : { result: 'Continue', offset: entry.content.length, filekey: entry.key } };
+    }
+
+    let content = params.file;
+    if (params.filekey) {
+      if (!stash.has(params.filekey)) return { error: { code: 'stashfailed', info: 'No stashed file with this key.' } };
+      content = stash.get(params.filekey).content;
+    }
+    const name = normalizeTitle(params.filename);
+    const existing = files.get(name);
+    if (existing && existing.sha1 === sha1(content)) {
+      return { error: { code: 'fileexists-no-change', info: 'The upload is an exact duplicate of the current version.' } };
+    }
+
+    if (!params.ignorewarnings) {
+      const warnings = {};
+      if (existing) warnings.exists = name;
+      const duplicates = [...files].filter(([other, file]) => other !== name && file.sha1 === sha1(content)).map(([other]) => other);
+      if (duplicates.length > 0) warnings.duplicate = duplicates;
+      if (Object.keys(warnings).length > 0) {
+        const key = params.filekey || `stash${++lastStashKey}`;
+        stash.set(key, { key, content, filename: name });
+        return { upload: { result: 'Warning', warnings, filekey: key } };
+      }
+    }
+    if (params.filekey) stash.delete(params.filekey);
+    return publish(name, content, params);
+  }
+
+  function move(params) {
+    const from = normalizeTitle(params.from);
+    const to = normalizeTitle(params.to);
+    if (!pages.has(from)) return { error: { code: 'missingtitle', info: "The page you specified doesn't exist." } };
+    if (pages.has(to)) return { error: { code: 'articleexists', info: 'A page of that name already exists.' } };
+    pages.set(to, pages.get(from));
+    pages.delete(from);
+    savePage(from, `#REDIRECT [[${to}]]`, account.name, params.reason);
+    return { move: { from, to, reason: params.reason || '' } };
+  }
+
+  function remove(params) {
+    const title = normalizeTitle(params.title);
+    if (!pages.has(title)) return { error: { code: 'missingtitle', info: "The page you specified doesn't exist." } };
+    pages.delete(title);
+    return { delete: { title, reason: params.reason || '', logid: lastRevisionId } };
+  }
+
+  // The first injected fault matching the action, used up by this request
+  function takeFault(params) {
+    const index = faults.findIndex(fault => (fault.action === params.action || fault.action === '*') && fault.matches(params));
+    if (index === -1) return null;
+    const fault = faults[index];
+    if (--fault.times <= 0) faults.splice(index, 1);
+    return fault.fault;
+  }
+
+  function respond(res, status, data, headers = {}) {
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    res.statusCode = status;
+    if (typeof data === 'string') {
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(data);
+    } else {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(data));
+    }
+  }
+
+  function injectedResponse(res, fault) {
+    if (fault === 'http503') return respond(res, 503, 'Service Temporarily Unavailable', { 'Retry-After': '1' });
+    if (fault === 'http500') return respond(res, 500, 'Internal Server Error');
+    if (fault === 'maxlag') {
+      return respond(res, 200, { error: { code: 'maxlag', info: 'Waiting for a database server: 1 seconds lagged.', host: 'db1', lag: 1 } },
+        { 'Retry-After': '1', 'X-Database-Lag': '1' });
+    }
+    if (fault === 'badtoken') return respond(res, 200, { error: { code: 'badtoken', info: 'Invalid CSRF token.' } });
+    return respond(res, 200, { error: { code: fault, info: `Injected ${fault} error.` } });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const params = await readParams(req, url);
+    const session = sessions.get(parseCookies(req.headers.cookie).mockwiki_session) || null;
+    requests.push({ method: req.method, params });
+
+    const fault = takeFault(params);
+    if (fault) return injectedResponse(res, fault);
+
+    // Requests asserting a session fail once it is gone, as when the wiki's session expires
+    if (params.assert && !session) {
+      return respond(res, 200, { error: { code: 'assertuserfailed', info: 'You are no longer logged in, so the action could not be completed.' } });
+    }
+    const writes = ['edit', 'upload', 'move', 'delete'];
+    if (writes.includes(params.action) && (!session || params.token !== session.token)) {
+      return respond(res, 200, { error: { code: 'badtoken', info: 'Invalid CSRF token.' } });
+    }
+
+    const handlers = {
+      query: () => query(params, session),
+      login: () => login(params, res),
+      edit: () => edit(params),
+      upload: () => upload(params),
+      move: () => move(params),
+      delete: () => remove(params)
+    };
+    const handler = handlers[params.action];
+    if (!handler) return respond(res, 200, { error: { code: 'badvalue', info: `Unrecognized value for parameter "action": ${params.action}.` } });
+    return respond(res, 200, handler());
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => respond(res, 500, `Mock wiki error: ${error.stack}`));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        apiUrl: `http://127.0.0.1:${port}/api.php`,
+        account,
+        pages,
+        files,
+        requests,
+        // Content of a page's latest revision, or null
+        pageText: title => latest(normalizeTitle(title))?.content ?? null,
+        // An edit made by someone on the wiki, outside the uploader
+        editAs: (user, title, content) => savePage(normalizeTitle(title), content, user, 'Manual edit'),
+        // Makes the next `times` requests with this action (or '*' for any), and whose params
+        // `matches` accepts, fail with an API error code, or 'maxlag', 'http503' or 'http500'
+        failNext: (action, fault, times = 1, matches = () => true) => faults.push({ action, fault, times, matches }),
+        // Ends every session, as when they expire on the wiki
+        expireSessions: () => sessions.clear(),
+        // Requests made with an action, optionally only those matching a predicate on their params
+        requestsFor: (action, predicate = () => true) => requests.filter(({ params }) => params.action === action && predicate(params)),
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+export { startMockWiki, normalizeTitle };
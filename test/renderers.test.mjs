@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatDate, formatLink } from '../renderers.mjs';
+
+test('URL fields are encoded so they can neither break the link nor add markup', () => {
+  assert.equal(formatLink('https://x.org/]]{{foo}}'), '[https://x.org/%5D%5D%7B%7Bfoo%7D%7D]');
+  assert.equal(formatLink('example.com/a b'), '[https://example.com/a%20b example.com/a b]');
+  assert.equal(formatLink('example.com/a]b'), '[https://example.com/a%5Db example.com/a&#93;b]');
+  assert.equal(formatLink('example.com:8080/x'), '[https://example.com:8080/x example.com:8080/x]');
+  assert.equal(formatLink('javascript:alert(1)'), 'javascript:alert(1)');
+  assert.equal(formatLink('mailto:a@b.org'), '[mailto:a@b.org a@b.org]');
+});
+
+test('dates and IP addresses in URL fields are not taken for phone numbers', () => {
+  assert.equal(formatLink('+49 (30) 1234-567'), '[tel:+49301234567 +49 (30) 1234-567]');
+  assert.equal(formatLink('555.123.4567'), '[tel:5551234567 555.123.4567]');
+  assert.equal(formatLink('2024-01-01'), '[https://2024-01-01 2024-01-01]');
+  assert.equal(formatLink('192.168.0.1'), '[https://192.168.0.1 192.168.0.1]');
+  assert.equal(formatLink('tel:2024-01-01'), '[tel:20240101 2024-01-01]');
+});
+
+test('dates are shown in UTC whatever the time zone of the machine', t => {
+  const timeZone = process.env.TZ;
+  t.after(() => {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  });
+  process.env.TZ = 'America/New_York';
+
+  assert.equal(formatDate('2024-03-01'), 'Fri Mar 01 2024');
+  assert.equal(formatDate('2024-03-01T02:30:00Z', true), 'Fri Mar 01 2024 02:30 UTC');
+});
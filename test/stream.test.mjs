@@ -0,0 +1,116 @@
+import test, { before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FIXTURES, FIXTURE_FILES, makeOutputDir, silenceConsole, transformFixture } from './helpers.mjs';
+import { readLists, streamExport } from '../stream.mjs';
+import { transformExport } from '../transform.mjs';
+import { manifestPath, loadManifest } from '../manifest.mjs';
+
+before(() => silenceConsole());
+
+// Every file below dir by its path relative to root, with its content
+function readTree(dir, root = dir, files = {}) {
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const itemPath = path.join(dir, item.name);
+    if (item.isDirectory()) readTree(itemPath, root, files);
+    else files[path.relative(root, itemPath).split(path.sep).join('/')] = fs.readFileSync(itemPath);
+  }
+  return files;
+}
+
+function attachmentFiles(manifest) {
+  return Object.values(manifest.entries).flatMap(entry => (entry.attachments || []).map(attachment => attachment.file));
+}
+
+test('streaming an export writes the same files as converting it in memory', async () => {
+  const inMemoryDir = makeOutputDir();
+  await transformFixture(inMemoryDir);
+  const streamedDir = makeOutputDir();
+  await transformExport(streamExport({ input: path.join(FIXTURES, 'workspace.json') }), streamedDir, FIXTURE_FILES);
+
+  const inMemory = readTree(inMemoryDir);
+  assert.ok(Object.keys(inMemory).length > 0);
+  assert.deepEqual(readTree(streamedDir), inMemory);
+});
+
+test('lists are read with their entries one at a time, and entries left unread are skipped', async () => {
+  const dir = path.dirname(makeOutputDir());
+  const input = path.join(dir, 'export.json');
+  const exported = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'workspace.json'), 'utf8'));
+  // Keys after the entries are only known once they were read
+  exported.lists[0].activities = [{ listEntryUUID: exported.lists[0].entries[0].uuid, message: 'Hi' }];
+  fs.writeFileSync(input, JSON.stringify(exported));
+
+  const trailing = new Map();
+  const firstRead = [];
+  for await (const list of readLists(input, trailing)) {
+    assert.ok(!Array.isArray(list.entries));
+    const { value: entry } = await list.entries[Symbol.asyncIterator]().next();
+    firstRead.push({ name: list.list.name, entry: entry.uuid, activities: list.activities });
+  }
+  assert.deepEqual(firstRead, exported.lists.map(list => ({ name: list.list.name, entry: list.entries[0].uuid, activities: undefined })));
+
+  const secondRead = [];
+  for await (const list of readLists(input, trailing)) {
+    const entries = [];
+    for await (const entry of list.entries) entries.push(entry);
+    secondRead.push({ ...list, entries });
+  }
+  assert.deepEqual(secondRead, exported.lists);
+});
+
+test('symlink mode links attachments to the export instead of copying them', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir, undefined, { mediaMode: 'symlink' });
+
+  const files = attachmentFiles(loadManifest(outputDir));
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    const target = path.join(outputDir, file);
+    assert.ok(fs.lstatSync(target).isSymbolicLink(), file);
+    assert.ok(fs.realpathSync(target).startsWith(fs.realpathSync(FIXTURE_FILES)), file);
+  }
+});
+
+const sameFileSystem = fs.statSync(FIXTURE_FILES).dev === fs.statSync(os.tmpdir()).dev;
+test('hardlink mode links attachments to the export instead of copying them', { skip: !sameFileSystem && 'the fixtures and the temporary directory are on different file systems' }, async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir, undefined, { mediaMode: 'hardlink' });
+
+  const files = attachmentFiles(loadManifest(outputDir));
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    const stat = fs.lstatSync(path.join(outputDir, file));
+    assert.ok(stat.isFile() && stat.nlink > 1, file);
+  }
+});
+
+test('attachments copied in the background are written before the manifest is saved', async t => {
+  const outputDir = makeOutputDir();
+  // Slow copies would still be running if the transform didn't wait for them
+  const copyFile = fs.promises.copyFile;
+  mock.method(fs.promises, 'copyFile', async (...args) => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return copyFile(...args);
+  });
+  const renameSync = fs.renameSync;
+  const missingAtSave = [];
+  mock.method(fs, 'renameSync', (from, to) => {
+    if (to === manifestPath(outputDir)) {
+      const manifest = JSON.parse(fs.readFileSync(from, 'utf8'));
+      missingAtSave.push(...attachmentFiles(manifest).filter(file => !fs.existsSync(path.join(outputDir, file))));
+    }
+    return renameSync(from, to);
+  });
+  t.after(() => {
+    fs.promises.copyFile.mock.restore();
+    fs.renameSync.mock.restore();
+  });
+
+  await transformFixture(outputDir, undefined, { copyConcurrency: 1 });
+
+  assert.ok(attachmentFiles(loadManifest(outputDir)).length > 0);
+  assert.deepEqual(missingAtSave, []);
+});
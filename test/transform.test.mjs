@@ -0,0 +1,83 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FIXTURE_FILES, loadFixture, makeOutputDir, silenceConsole, transformFixture } from './helpers.mjs';
+import { streamExport } from '../stream.mjs';
+import { transformExport } from '../transform.mjs';
+
+before(() => silenceConsole());
+
+function readPage(outputDir, file) {
+  return fs.readFileSync(path.join(outputDir, file), 'utf8');
+}
+
+test('images whose URL has a bare % are converted like any other', async () => {
+  const outputDir = makeOutputDir();
+  const zenkitJson = loadFixture();
+  zenkitJson.lists[0].entries[2]['el-summary_text'] = '<p>Back to the Moon.</p><img src="http://x/100%.png">';
+  await transformFixture(outputDir, zenkitJson);
+
+  assert.match(readPage(outputDir, 'Projects/Artemis.txt'), /Back to the Moon\./);
+});
+
+test('namespace pages get unique file names of limited length, recorded in the title map', async () => {
+  const outputDir = makeOutputDir();
+  const zenkitJson = loadFixture();
+  const longName = `Cost ${'x'.repeat(150)}`;
+  zenkitJson.lists[0].elements.push(
+    { uuid: 'el-cost-question', name: 'Cost?', elementcategory: 2 },
+    { uuid: 'el-cost-star', name: 'Cost*', elementcategory: 2 },
+    { uuid: 'el-cost-long', name: longName, elementcategory: 2 }
+  );
+  await transformFixture(outputDir, zenkitJson, { semantic: true });
+
+  const titleMap = JSON.parse(readPage(outputDir, 'titles.json'));
+  const propertyFiles = Object.keys(titleMap.pages).filter(file => file.startsWith('Property/'));
+  const fileOf = title => propertyFiles.find(file => titleMap.pages[file] === title);
+  const questionFile = fileOf('Property:Cost?');
+  const starFile = fileOf('Property:Cost*');
+  const longFile = fileOf(`Property:${longName}`);
+
+  assert.ok(questionFile && starFile && longFile);
+  assert.notEqual(questionFile, starFile);
+  assert.match(readPage(outputDir, questionFile), /Number/);
+  assert.match(readPage(outputDir, starFile), /Number/);
+  assert.ok(path.basename(longFile, '.txt').length <= 100);
+  for (const file of propertyFiles) assert.ok(fs.existsSync(path.join(outputDir, file)));
+});
+
+test('lists of a workspace with a namespace are titled, talked about and dumped in that namespace', async () => {
+  const outputDir = makeOutputDir();
+  const baseDir = path.dirname(outputDir);
+  const zenkitJson = loadFixture();
+  zenkitJson.lists[0].entries[0].comments = [{ message: 'Go for launch', created_at: '2024-01-11T09:00:00Z' }];
+  fs.writeFileSync(path.join(baseDir, 'projects.json'), JSON.stringify({ lists: [zenkitJson.lists[0]] }));
+  fs.writeFileSync(path.join(baseDir, 'people.json'), JSON.stringify({ lists: [zenkitJson.lists[1]] }));
+  const workspaces = [
+    { input: 'projects.json', files: FIXTURE_FILES, namespace: 'help' },
+    { input: 'people.json', namespace: 'Engineering', namespaceNumber: 3000 }
+  ];
+  const dumpFile = path.join(baseDir, 'dump.xml');
+  await transformExport(streamExport({ workspaces, baseDir }), outputDir, FIXTURE_FILES, false, { comments: 'talk', xmlDump: dumpFile });
+
+  const titleMap = JSON.parse(readPage(outputDir, 'titles.json'));
+  assert.deepEqual(Object.values(titleMap.lists).sort(), ['Engineering:People', 'Help:Projects']);
+  const titles = Object.values(titleMap.pages);
+  assert.ok(titles.includes('Help:Projects/Apollo'));
+  assert.ok(titles.includes('Help talk:Projects/Apollo'));
+  assert.ok(titles.includes('Engineering:People/Robert Gilruth'));
+  assert.match(readPage(outputDir, 'Help_Projects/Apollo.txt'), /\[\[Engineering:People\/Robert Gilruth\]\]/);
+
+  const dump = fs.readFileSync(dumpFile, 'utf8');
+  const namespaceOf = title => dump.match(new RegExp(`<title>${title}</title>\\n\\s*<ns>(\\d+)</ns>`))?.[1];
+  assert.equal(namespaceOf('Help:Projects/Apollo'), '12');
+  assert.equal(namespaceOf('Help talk:Projects/Apollo'), '13');
+  assert.equal(namespaceOf('Engineering:People/Robert Gilruth'), '3000');
+});
+
+test('a namespace of the wiki\'s own needs its number', () => {
+  const baseDir = path.dirname(makeOutputDir());
+  fs.writeFileSync(path.join(baseDir, 'people.json'), JSON.stringify({ lists: [] }));
+  assert.throws(() => streamExport({ workspaces: [{ input: 'people.json', namespace: 'Engineering' }], baseDir }), /namespaceNumber/);
+});
@@ -0,0 +1,260 @@
+import test, { before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockWiki } from './mock-wiki.mjs';
+import { FIXTURE_FILES, loadFixture, makeOutputDir, silenceConsole, transformFixture } from './helpers.mjs';
+import { uploadMediaWikiFiles } from '../upload.mjs';
+import { loadManifest, manifestPath } from '../manifest.mjs';
+import { journalPath, failuresPath } from '../journal.mjs';
+import { apiStats } from '../api.mjs';
+
+let wiki;
+
+before(() => silenceConsole());
+
+// Every test starts with an empty wiki
+beforeEach(async () => {
+  wiki = await startMockWiki();
+});
+
+afterEach(() => wiki.close());
+
+function upload(outputDir, options = {}) {
+  return uploadMediaWikiFiles(outputDir, wiki.apiUrl, wiki.account.name, wiki.account.password, { maxlag: 5, ...options });
+}
+
+// Edits saved since the start of a test, by title
+function editedTitles(since) {
+  return wiki.requests.slice(since).filter(({ params }) => params.action === 'edit').map(({ params }) => params.title);
+}
+
+test('transform and upload publish every entry, attachment and site page', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  const stats = await upload(outputDir);
+
+  assert.equal(stats.errors, 0);
+  // Uploading a file creates its File: page from the generated description, which is then identical
+  assert.equal(stats.pagesUploaded, 4);
+  assert.equal(stats.pagesSkipped, 2);
+  assert.equal(stats.filesUploaded, 2);
+  for (const title of ['Projects/Apollo', 'Projects/Gemini', 'Projects/Artemis', 'People/Robert Gilruth', 'Projects', 'People', 'Site Map']) {
+    assert.ok(wiki.pages.has(title), `${title} was not created`);
+  }
+  assert.match(wiki.pageText('Projects/Apollo'), /\[\[People\/Robert Gilruth\]\]/);
+  assert.match(wiki.pageText('People/Robert Gilruth'), /== Referenced by ==/);
+
+  const diagram = fs.readFileSync(path.join(FIXTURE_FILES, 'Projects/Files/Items/Apollo/Attachments/diagram.png'));
+  assert.deepEqual(wiki.files.get('Projects - Apollo - diagram.png').content, diagram);
+  assert.match(wiki.pageText('File:Projects - Apollo - diagram.png'), /\[\[Projects\/Apollo\]\]/);
+
+  const manifest = loadManifest(outputDir);
+  assert.equal(manifest.entries['entry-apollo'].wikiTitle, 'Projects/Apollo');
+});
+
+test('a second upload skips pages and files unchanged since the last sync without asking the wiki', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  await upload(outputDir);
+
+  const since = wiki.requests.length;
+  const stats = await upload(outputDir);
+  assert.equal(stats.pagesUnchanged, 6);
+  assert.equal(stats.filesUnchanged, 2);
+  assert.deepEqual(editedTitles(since).filter(title => title.startsWith('Projects/')), []);
+  const entryQueries = wiki.requests.slice(since).filter(({ params }) => params.prop === 'revisions' && /Projects\/Apollo/.test(params.titles));
+  assert.equal(entryQueries.length, 0);
+});
+
+test('a full upload compares with the wiki and skips identical pages and files', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  await upload(outputDir);
+
+  const since = wiki.requests.length;
+  const uploadsBefore = wiki.requestsFor('upload').length;
+  const stats = await upload(outputDir, { incremental: false });
+  assert.equal(stats.errors, 0);
+  assert.equal(stats.pagesSkipped, 6);
+  assert.equal(stats.filesSkipped, 2);
+  assert.equal(stats.pagesUploaded + stats.filesUploaded, 0);
+  assert.equal(wiki.requestsFor('upload').length, uploadsBefore);
+  assert.deepEqual(editedTitles(since).filter(title => title.startsWith('Projects/')), []);
+});
+
+test('files larger than the chunk size go through the upload stash in chunks', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  const since = wiki.requests.length;
+  const stats = await upload(outputDir, { chunkSize: 1024 });
+
+  assert.equal(stats.errors, 0);
+  const notes = fs.readFileSync(path.join(FIXTURE_FILES, 'Projects/Files/Items/Gemini/Attachments/notes.txt'));
+  const chunks = wiki.requests.slice(since).filter(({ params }) => params.action === 'upload' && params.stash);
+  assert.equal(chunks.length, Math.ceil(notes.length / 1024));
+  assert.deepEqual(chunks.map(({ params }) => Number(params.offset)), chunks.map((_, index) => index * 1024));
+  assert.deepEqual(wiki.files.get('Projects - Gemini - notes.txt').content, notes);
+  assert.deepEqual(loadManifest(outputDir).uploads, {});
+});
+
+test('injected maxlag, 503 and badtoken errors are retried until the upload succeeds', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  wiki.failNext('edit', 'maxlag');
+  wiki.failNext('edit', 'http503');
+  wiki.failNext('edit', 'badtoken');
+  wiki.failNext('upload', 'badtoken');
+  const { retries, throttled } = apiStats;
+  const stats = await upload(outputDir);
+
+  assert.equal(stats.errors, 0);
+  assert.equal(stats.pagesUploaded, 4);
+  assert.equal(stats.filesUploaded, 2);
+  assert.equal(apiStats.retries - retries, 4);
+  assert.equal(apiStats.throttled - throttled, 2);
+});
+
+test('renamed entries are moved and deleted entries removed with --on-delete delete', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  await upload(outputDir);
+
+  const zenkitJson = loadFixture();
+  const projects = zenkitJson.lists[0];
+  projects.entries.find(entry => entry.uuid === 'entry-artemis').displayString = 'Artemis II';
+  projects.entries = projects.entries.filter(entry => entry.uuid !== 'entry-gemini');
+  await transformFixture(outputDir, zenkitJson);
+  const stats = await upload(outputDir, { deletePolicy: 'delete' });
+
+  assert.equal(stats.errors, 0);
+  assert.equal(stats.pagesMoved, 1);
+  assert.equal(stats.pagesDeleted, 1);
+  assert.ok(wiki.pages.has('Projects/Artemis II'));
+  assert.equal(wiki.pageText('Projects/Artemis'), '#REDIRECT [[Projects/Artemis II]]');
+  assert.equal(wiki.pages.has('Projects/Gemini'), false);
+  assert.equal(loadManifest(outputDir).entries['entry-artemis'].wikiTitle, 'Projects/Artemis II');
+});
+
+test('pages edited on the wiki since the last sync are not overwritten', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  await upload(outputDir);
+
+  wiki.editAs('Editor', 'Projects/Apollo', 'Edited on the wiki');
+  const zenkitJson = loadFixture();
+  zenkitJson.lists[0].entries[0]['el-summary_text'] = '<p>Six crewed lunar landings.</p>';
+  zenkitJson.lists[0].entries[0].updated_at = '2024-03-01T12:00:00Z';
+  await transformFixture(outputDir, zenkitJson);
+  const stats = await upload(outputDir);
+
+  assert.equal(stats.conflicts, 1);
+  assert.deepEqual(stats.report.conflicts, [{ title: 'Projects/Apollo', user: 'Editor', revid: wiki.pages.get('Projects/Apollo').revisions.at(-1).revid, action: 'skipped' }]);
+  assert.equal(wiki.pageText('Projects/Apollo'), 'Edited on the wiki');
+});
+
+test('failed items are listed with their error codes and --retry-failed uploads only those', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  wiki.failNext('edit', 'protectedpage');
+  const stats = await upload(outputDir);
+
+  assert.equal(stats.errors, 1);
+  const [failure] = JSON.parse(fs.readFileSync(failuresPath(outputDir), 'utf8')).failures;
+  assert.equal(failure.type, 'page');
+  assert.equal(failure.code, 'protectedpage');
+  assert.equal(wiki.pages.has(failure.title), false);
+
+  const since = wiki.requests.length;
+  const retry = await upload(outputDir, { retryFailed: true });
+  assert.equal(retry.errors, 0);
+  assert.equal(retry.pagesUploaded, 1);
+  assert.deepEqual(editedTitles(since), [failure.title]);
+  assert.equal(fs.existsSync(failuresPath(outputDir)), false);
+});
+
+test('--resume replays the journal of an interrupted upload and carries on without checking done items again', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  const transformed = fs.readFileSync(manifestPath(outputDir));
+  await upload(outputDir);
+
+  // As if the upload had been killed before it finished and saved the manifest
+  const journal = fs.readFileSync(journalPath(outputDir), 'utf8').trim().split('\n');
+  fs.writeFileSync(journalPath(outputDir), `${journal.slice(0, -1).join('\n')}\n`);
+  fs.writeFileSync(manifestPath(outputDir), transformed);
+
+  const since = wiki.requests.length;
+  const stats = await upload(outputDir, { resume: true, incremental: false });
+  assert.equal(stats.errors, 0);
+  assert.equal(stats.pagesUnchanged, 6);
+  assert.equal(stats.filesUnchanged, 2);
+  const entryQueries = wiki.requests.slice(since).filter(({ params }) => params.prop === 'revisions' && /Projects\//.test(params.titles));
+  assert.equal(entryQueries.length, 0);
+  assert.equal(loadManifest(outputDir).entries['entry-apollo'].wikiTitle, 'Projects/Apollo');
+});
+
+test('a page of a deleted entry that could not be tagged obsolete is tagged by the next upload', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  await upload(outputDir);
+
+  const zenkitJson = loadFixture();
+  zenkitJson.lists[0].entries = zenkitJson.lists[0].entries.filter(entry => entry.uuid !== 'entry-gemini');
+  await transformFixture(outputDir, zenkitJson);
+  await upload(outputDir);
+  // Saving Template:Obsolete and then tagging the page both fail
+  wiki.failNext('edit', 'protectedpage', 2);
+  const failed = await upload(outputDir, { deletePolicy: 'tag' });
+
+  assert.equal(failed.pagesTagged, 0);
+  assert.deepEqual(failed.report.failures.map(({ type, title, code }) => ({ type, title, code })), [{ type: 'tag', title: 'Projects/Gemini', code: 'protectedpage' }]);
+  assert.equal(loadManifest(outputDir).entries['entry-gemini'].obsoleteTaggedAt, undefined);
+
+  const retried = await upload(outputDir, { deletePolicy: 'tag' });
+  assert.equal(retried.pagesTagged, 1);
+  assert.match(wiki.pageText('Projects/Gemini'), /^\{\{Obsolete\}\}/);
+});
+
+test('a page whose Zenkit version could not be written to its /Conflict subpage is reported as failed', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  await upload(outputDir);
+
+  wiki.editAs('Editor', 'Projects/Apollo', 'Edited on the wiki');
+  const zenkitJson = loadFixture();
+  zenkitJson.lists[0].entries[0]['el-summary_text'] = '<p>Six crewed lunar landings.</p>';
+  zenkitJson.lists[0].entries[0].updated_at = '2024-03-01T12:00:00Z';
+  await transformFixture(outputDir, zenkitJson);
+  wiki.failNext('edit', 'protectedpage');
+  const stats = await upload(outputDir, { conflictPolicy: 'subpage' });
+
+  assert.equal(stats.errors, 1);
+  assert.deepEqual(stats.report.failures.map(({ title, code }) => ({ title, code })), [{ title: 'Projects/Apollo', code: 'protectedpage' }]);
+  assert.deepEqual(stats.report.conflicts, []);
+  assert.equal(wiki.pages.has('Projects/Apollo/Conflict'), false);
+});
+
+test('an upload that fails midway stops refreshing its CSRF token', async () => {
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  const timers = () => process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+  const before = timers();
+  // Reading the pages to compare fails with an error no retry helps with
+  wiki.failNext('query', 'internal_api_error_MWException', 1, params => params.prop === 'revisions');
+  await assert.rejects(upload(outputDir), { code: 'internal_api_error_MWException' });
+  assert.equal(timers(), before);
+});
+
+test('--dry-run previews the upload with a read-only account', async () => {
+  wiki.close();
+  wiki = await startMockWiki({ rights: ['read'] });
+  const outputDir = makeOutputDir();
+  await transformFixture(outputDir);
+  const stats = await upload(outputDir, { dryRun: true });
+
+  assert.equal(stats.errors, 0);
+  assert.ok(stats.plan.items.some(item => item.title === 'Projects/Apollo' && item.action === 'create'));
+  assert.equal(editedTitles(0).length, 0);
+  await assert.rejects(upload(outputDir), /lacks rights this upload needs: edit/);
+});
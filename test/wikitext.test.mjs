@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toWikitext, wikitextToMarkdown } from '../wikitext.mjs';
+
+test('link and image URLs are encoded so spaces and brackets keep the link whole', () => {
+  assert.equal(toWikitext('<p><a href="https://x.org/a b]c">here</a></p>'), '[https://x.org/a%20b%5Dc here]');
+  assert.equal(toWikitext('<p><img src="https://x.org/a b.png" alt="A"></p>'), '[https://x.org/a%20b.png A]');
+  assert.equal(toWikitext('See [the docs](https://x.org/{{a}}) **now**'), 'See [https://x.org/%7B%7Ba%7D%7D the docs] \'\'\'now\'\'\'');
+});
+
+test('text that would be a heading or bold and italic quotes is kept as text', () => {
+  assert.equal(toWikitext('= x =\nIt\'\'s \'\'\'fine\'\'\''), '<nowiki>=</nowiki> x =<br />\nIt<nowiki>\'\'</nowiki>s <nowiki>\'\'\'</nowiki>fine<nowiki>\'\'\'</nowiki>');
+  assert.equal(toWikitext('<p>= x =</p>'), '<nowiki>=</nowiki> x =');
+  assert.equal(wikitextToMarkdown(toWikitext('<p>= x = and \'\'y\'\' in <b>bold</b></p>')), '= x = and \'\'y\'\' in **bold**');
+});
@@ -0,0 +1,83 @@
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawnSync } from 'child_process';
+import { FIXTURE_FILES, makeOutputDir, silenceConsole, transformFixture } from './helpers.mjs';
+import { validateXmlDump } from '../xmldump.mjs';
+
+before(() => silenceConsole());
+
+function sha1Base36(content) {
+  const hex = crypto.createHash('sha1').update(content).digest('hex');
+  return BigInt(`0x${hex}`).toString(36).padStart(31, '0');
+}
+
+function unescapeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?: [^>]*)?>([^]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+}
+
+async function writeFixtureDump() {
+  const outputDir = makeOutputDir();
+  const dumpFile = path.join(path.dirname(outputDir), 'dump.xml');
+  await transformFixture(outputDir, undefined, { xmlDump: dumpFile });
+  const xml = fs.readFileSync(dumpFile, 'utf8');
+  const pages = [...xml.matchAll(/ {2}<page>\n([^]*?) {2}<\/page>\n/g)].map(match => match[1]);
+  return { outputDir, dumpFile, xml, pages };
+}
+
+test('the XML dump has a page with revisions for every generated page', async () => {
+  const { outputDir, xml, pages } = await writeFixtureDump();
+
+  assert.match(xml, /^<mediawiki xmlns="http:\/\/www\.mediawiki\.org\/xml\/export-0\.11\/" [^>]*version="0\.11"/);
+  assert.match(xml, /<\/mediawiki>\n$/);
+  const titleMap = JSON.parse(fs.readFileSync(path.join(outputDir, 'titles.json'), 'utf8'));
+  assert.deepEqual(pages.map(page => tagText(page, 'title')).sort(), Object.values(titleMap.pages).sort());
+
+  for (const page of pages) {
+    const revisions = [...page.matchAll(/<revision>([^]*?)<\/revision>/g)].map(match => match[1]);
+    assert.ok(revisions.length > 0, tagText(page, 'title'));
+    for (const revision of revisions) {
+      assert.equal(tagText(revision, 'sha1'), sha1Base36(tagText(revision, 'text')));
+    }
+  }
+
+  // Entry pages keep when the entry was created and last edited
+  const apollo = pages.find(page => tagText(page, 'title') === 'Projects/Apollo');
+  assert.deepEqual([...apollo.matchAll(/<timestamp>(.*?)<\/timestamp>/g)].map(match => match[1]),
+    ['2024-01-10T09:00:00Z', '2024-02-01T12:00:00Z']);
+});
+
+test('the XML dump uploads attachments with their size and hash', async () => {
+  const { pages } = await writeFixtureDump();
+  const page = pages.find(page => tagText(page, 'title') === 'File:Projects - Apollo - diagram.png');
+  const upload = tagText(page, 'upload');
+  const content = fs.readFileSync(path.join(FIXTURE_FILES, 'Projects/Files/Items/Apollo/Attachments/diagram.png'));
+
+  assert.equal(tagText(upload, 'filename'), 'Projects - Apollo - diagram.png');
+  assert.equal(tagText(upload, 'rel'), 'Media/Projects/Projects - Apollo - diagram.png');
+  assert.equal(Number(tagText(upload, 'size')), content.length);
+  assert.equal(tagText(upload, 'sha1base36'), sha1Base36(content));
+});
+
+const hasXmllint = !spawnSync('xmllint', ['--version']).error;
+test('the XML dump validates against the bundled export schema', { skip: !hasXmllint && 'xmllint is not installed' }, async () => {
+  const { dumpFile } = await writeFixtureDump();
+
+  assert.deepEqual(await validateXmlDump(dumpFile), { valid: true, messages: [] });
+});
+
+test('validating a dump without xmllint installed fails with a clear error', async t => {
+  const { dumpFile } = await writeFixtureDump();
+  const pathVariable = process.env.PATH;
+  t.after(() => { process.env.PATH = pathVariable; });
+  process.env.PATH = path.dirname(dumpFile);
+
+  await assert.rejects(validateXmlDump(dumpFile, 'export-0.11.xsd'), /xmllint was not found/);
+});
@@ -0,0 +1,331 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const TITLE_MAP_FILE = 'titles.json';
+const TITLE_MAP_VERSION = 1;
+
+// Output directories whose pages belong to the namespace of the same name
+const NAMESPACE_DIRECTORIES = ['Template', 'Property', 'File', 'Talk'];
+
+// MediaWiki measures the title limit in UTF-8 bytes, without the namespace prefix
+const MAX_TITLE_BYTES = 255;
+
+// File names are limited further, and may not contain these on top of the title rules
+// ($wgIllegalFileChars)
+const MAX_FILE_NAME_BYTES = 240;
+const ILLEGAL_FILE_CHARS = /[:/\\]/g;
+
+// Characters outside $wgLegalTitleChars
+const ILLEGAL_TITLE_CHARS = /[#<>[\]|{}]/g;
+
+// Canonical names and aliases of the default namespaces (plus Semantic MediaWiki's). A title
+// starting with one of these followed by a colon would end up in that namespace.
+const NAMESPACE_PREFIXES = [
+  'media', 'special', 'talk', 'user', 'user talk', 'project', 'project talk', 'file', 'file talk',
+  'image', 'image talk', 'mediawiki', 'mediawiki talk', 'template', 'template talk', 'help',
+  'help talk', 'category', 'category talk', 'module', 'module talk', 'property', 'property talk',
+  'concept', 'concept talk'
+];
+
+// Numbers of the default namespaces and Semantic MediaWiki's Property namespace. Each talk
+// namespace is named "<namespace> talk" and numbered one higher.
+const NAMESPACE_NUMBERS = {
+  Talk: 1, User: 2, Project: 4, File: 6, MediaWiki: 8, Template: 10, Help: 12, Category: 14, Property: 102
+};
+
+function sanitizeFileName(name) {
+  return name.replace(/[/\\?%*:|"<>]/g, '_');
+}
+
+function truncateFileName(name, maxLength = 100) {
+  if (name.length <= maxLength) return name;
+  const hash = crypto.createHash('md5').update(name).digest('hex');
+  return name.slice(0, maxLength - hash.length - 1) + '_' + hash;
+}
+
+function shortHash(text) {
+  return crypto.createHash('md5').update(text).digest('hex').slice(0, 8);
+}
+
+// Cuts text to at most maxBytes of UTF-8 without splitting a character
+function truncateBytes(text, maxBytes) {
+  let result = '';
+  let bytes = 0;
+  for (const char of text) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > maxBytes) break;
+    result += char;
+  }
+  return result;
+}
+
+// Applies the character rules of a title without touching case or namespaces, so it can be
+// used for the parts of a subpage title
+function cleanTitleText(text) {
+  const cleaned = String(text ?? '')
+    .replace(ILLEGAL_TITLE_CHARS, '-')
+    // Percent escapes would be decoded in URLs, and three tildes are a signature
+    .replace(/%([0-9A-Fa-f]{2})/g, '-$1')
+    .replace(/~{3,}/g, match => '-'.repeat(match.length))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[_\s]+/g, ' ')
+    .trim();
+
+  // "." and ".." are not allowed as path segments
+  return cleaned.split('/')
+    .map(segment => (segment === '.' || segment === '..' ? segment.replace(/\./g, '-') : segment))
+    .join('/');
+}
+
+// Keeps the title within the byte limit; a shortened title gets a hash of the full one so two
+// long titles sharing a prefix stay distinct
+function fitTitle(title, suffix = '') {
+  if (Buffer.byteLength(title + suffix) <= MAX_TITLE_BYTES) return title + suffix;
+  const hash = `-${shortHash(title)}`;
+  const room = MAX_TITLE_BYTES - Buffer.byteLength(suffix) - hash.length;
+  return truncateBytes(title, room).trimEnd() + hash + suffix;
+}
+
+// Turns arbitrary text into the title MediaWiki would store for it: legal characters, no
+// accidental namespace prefix, first letter capitalized ($wgCapitalLinks), at most 255 bytes
+function normalizeTitle(text) {
+  let title = cleanTitleText(text).replace(/^:+\s*/, '');
+  const prefix = title.match(/^([^:]+?)\s*:/);
+  if (prefix && NAMESPACE_PREFIXES.includes(prefix[1].toLowerCase())) {
+    title = title.replace(/\s*:\s*/, ' - ');
+  }
+  if (!title) title = 'Untitled';
+
+  const [first, ...rest] = title;
+  return fitTitle(first.toUpperCase() + rest.join(''));
+}
+
+// A namespace name as MediaWiki spells it: spaces for underscores, first letter capitalized
+function normalizeNamespace(name) {
+  const cleaned = cleanTitleText(name).replace(/:/g, '');
+  return cleaned && cleaned[0].toUpperCase() + cleaned.slice(1);
+}
+
+// The number of a namespace, from the defaults or `namespaces` (extra namespaces by name, as
+// recorded in the title map), or null if it is unknown
+function namespaceNumber(namespace, namespaces = {}) {
+  const number = NAMESPACE_NUMBERS[namespace] ?? namespaces[namespace];
+  if (number !== undefined) return number;
+  const subject = namespace.match(/^(.+) talk$/)?.[1];
+  const subjectNumber = subject && (NAMESPACE_NUMBERS[subject] ?? namespaces[subject]);
+  return subjectNumber ? subjectNumber + 1 : null;
+}
+
+// Splits a title into its namespace and the rest; titles in the main namespace have namespace ''
+function splitTitle(title, namespaces = {}) {
+  const separator = title.indexOf(':');
+  const namespace = separator > 0 ? title.slice(0, separator) : '';
+  if (!namespace || namespaceNumber(namespace, namespaces) === null) return { namespace: '', name: title };
+  return { namespace, name: title.slice(separator + 1) };
+}
+
+// normalizeTitle keeps a name out of namespaces, so a title put in one on purpose is built here
+function namespacedTitle(namespace, name) {
+  const title = normalizeTitle(name);
+  return namespace ? `${normalizeNamespace(namespace)}:${title}` : title;
+}
+
+// The title of a list's page; lists of a workspace with a namespace are in that namespace
+function listPageTitle(list) {
+  const namespace = list.source?.namespace;
+  return namespace ? namespacedTitle(namespace, list.source.name) : normalizeTitle(list.list.name);
+}
+
+// The talk page of a title: Talk: for the main namespace, "<namespace> talk:" for the others
+function talkTitle(title, namespaces = {}) {
+  const { namespace, name } = splitTitle(title, namespaces);
+  return namespace ? `${namespace} talk:${name}` : `Talk:${title}`;
+}
+
+// Wiki name of an attachment: the title of its entry (unique within the wiki) followed by the
+// original file name, so two entries with an image.png don't overwrite each other
+function mediaFileName(entryTitle, fileName) {
+  const extension = path.extname(fileName);
+  let name = cleanTitleText(`${entryTitle.split('/').join(' - ')} - ${fileName}`).replace(ILLEGAL_FILE_CHARS, '-');
+  name = name[0].toUpperCase() + name.slice(1);
+  if (Buffer.byteLength(name) <= MAX_FILE_NAME_BYTES) return name;
+
+  // Shorten the name, not the extension the wiki uses to tell the file type
+  const suffix = `-${shortHash(name)}${extension}`;
+  return truncateBytes(name.slice(0, name.length - extension.length), MAX_FILE_NAME_BYTES - Buffer.byteLength(suffix)).trimEnd() + suffix;
+}
+
+function byZenkitId(a, b) {
+  return (a.id ?? Infinity) - (b.id ?? Infinity) || String(a.uuid).localeCompare(String(b.uuid));
+}
+
+// Picks a file name that is unique within its directory, also on case-insensitive file systems
+function uniqueFileName(name, takenNames, disambiguator) {
+  let fileName = truncateFileName(sanitizeFileName(name));
+  if (takenNames.has(fileName.toLowerCase())) {
+    fileName = `${truncateFileName(sanitizeFileName(name), 100 - 9)}_${shortHash(String(disambiguator))}`;
+  }
+  takenNames.add(fileName.toLowerCase());
+  return fileName;
+}
+
+// Resolves the page title and file name of each entry of one list, as a map from entry UUID to
+// { title, fileName }. Entries whose names normalize to the same title are ordered by Zenkit id;
+// the oldest keeps the plain title and the others get the start of their UUID appended, so the
+// result doesn't depend on the order of the export. Entries with a parent (a map from entry UUID
+// to parent UUID) become subpages of it, titled after their parent's title.
+function resolveEntryTitles(listTitle, entries, parents = new Map()) {
+  const uuids = new Set(entries.map(entry => entry.uuid));
+  const depthOf = uuid => {
+    let depth = 0;
+    for (let parent = parents.get(uuid); uuids.has(parent) && depth < uuids.size; parent = parents.get(parent)) depth++;
+    return depth;
+  };
+
+  // Parents are titled before their children
+  const levels = [];
+  for (const entry of entries) {
+    const depth = depthOf(entry.uuid);
+    if (!levels[depth]) levels[depth] = [];
+    levels[depth].push(entry);
+  }
+
+  const titles = new Map();
+  const taken = new Set();
+  const duplicates = [];
+  for (const level of levels.filter(Boolean)) {
+    const groups = new Map();
+    for (const entry of level) {
+      const parentTitle = titles.get(parents.get(entry.uuid)) || listTitle;
+      const base = `${parentTitle}/${cleanTitleText(entry.displayString) || 'Untitled'}`;
+      if (!groups.has(base)) groups.set(base, []);
+      groups.get(base).push(entry);
+    }
+
+    const levelDuplicates = [];
+    for (const [base, group] of groups) {
+      group.sort(byZenkitId);
+      const title = fitTitle(base);
+      // A subpage can end up with the title of an entry named like "Parent/Child"
+      if (taken.has(title)) {
+        for (const entry of group) levelDuplicates.push({ base, entry });
+        continue;
+      }
+      titles.set(group[0].uuid, title);
+      taken.add(title);
+      for (const entry of group.slice(1)) levelDuplicates.push({ base, entry });
+    }
+
+    for (const { base, entry } of levelDuplicates) {
+      let title = fitTitle(base, ` (${String(entry.uuid).slice(0, 8)})`);
+      if (taken.has(title)) title = fitTitle(base, ` (${entry.uuid})`);
+      titles.set(entry.uuid, title);
+      taken.add(title);
+    }
+    duplicates.push(...levelDuplicates);
+  }
+
+  // File names follow the entry name as before; entries with plain titles pick first
+  const resolved = new Map();
+  const takenNames = new Set();
+  const duplicateUuids = new Set(duplicates.map(({ entry }) => entry.uuid));
+  const ordered = [...entries].sort((a, b) => duplicateUuids.has(a.uuid) - duplicateUuids.has(b.uuid) || byZenkitId(a, b));
+  for (const entry of ordered) {
+    const fileName = uniqueFileName(entry.displayString || 'Untitled', takenNames, entry.uuid);
+    resolved.set(entry.uuid, { title: titles.get(entry.uuid), fileName });
+  }
+  return resolved;
+}
+
+function titleMapPath(outputDir) {
+  return path.join(outputDir, TITLE_MAP_FILE);
+}
+
+function emptyTitleMap() {
+  return { version: TITLE_MAP_VERSION, lists: {}, pages: {}, files: {}, parents: {}, groups: {}, namespaces: {} };
+}
+
+// The title map records the wiki title of every generated page file (keyed by its path relative
+// to the output directory), the wiki name of every media file and the title of every list directory.
+// For the list pages it also records the parent of every subpage and how list pages are grouped,
+// and the numbers of the namespaces workspaces put their lists in.
+function loadTitleMap(outputDir) {
+  const file = titleMapPath(outputDir);
+  if (!fs.existsSync(file)) return emptyTitleMap();
+
+  try {
+    const titleMap = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (titleMap.version !== TITLE_MAP_VERSION) {
+      console.warn(`Ignoring title map ${file} with unsupported version ${titleMap.version}`);
+      return emptyTitleMap();
+    }
+    return { ...emptyTitleMap(), ...titleMap };
+  } catch (error) {
+    console.error(`Error reading title map ${file}:`, error.message);
+    return emptyTitleMap();
+  }
+}
+
+function saveTitleMap(outputDir, titleMap) {
+  fs.writeFileSync(titleMapPath(outputDir), JSON.stringify(titleMap, null, 2));
+}
+
+// Page files from before the title map existed are titled after their path
+function titleForFile(titleMap, relativeFile) {
+  if (titleMap.pages[relativeFile]) return titleMap.pages[relativeFile];
+  const [directory, pageFile] = relativeFile.split('/');
+  const name = path.parse(pageFile).name;
+  return NAMESPACE_DIRECTORIES.includes(directory) ? `${directory}:${name}` : `${directory}/${name}`;
+}
+
+// MediaWiki stores spaces as underscores, so titles differing only in that are the same page
+function sameTitle(a, b) {
+  return a.replace(/_/g, ' ') === b.replace(/_/g, ' ');
+}
+
+// Media files from before the title map recorded them were uploaded as <list>/<file>
+function fileNameForMedia(titleMap, relativeFile) {
+  return titleMap.files[relativeFile] || relativeFile.split('/').slice(1).join('/');
+}
+
+function listTitleForDirectory(titleMap, directory) {
+  return titleMap.lists[directory] || directory;
+}
+
+// The page file of every title in the title map, built once so looking titles up doesn't scan it
+function pageFilesByTitle(titleMap) {
+  const files = new Map();
+  for (const [file, title] of Object.entries(titleMap.pages)) {
+    if (!files.has(title)) files.set(title, file);
+  }
+  return files;
+}
+
+export {
+  TITLE_MAP_FILE,
+  NAMESPACE_DIRECTORIES,
+  MAX_TITLE_BYTES,
+  MAX_FILE_NAME_BYTES,
+  NAMESPACE_NUMBERS,
+  sanitizeFileName,
+  truncateFileName,
+  cleanTitleText,
+  normalizeTitle,
+  normalizeNamespace,
+  namespaceNumber,
+  namespacedTitle,
+  listPageTitle,
+  talkTitle,
+  mediaFileName,
+  resolveEntryTitles,
+  uniqueFileName,
+  titleMapPath,
+  loadTitleMap,
+  saveTitleMap,
+  titleForFile,
+  fileNameForMedia,
+  sameTitle,
+  listTitleForDirectory,
+  pageFilesByTitle
+};
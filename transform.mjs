@@ -1,53 +1,84 @@
 import fs from 'fs';
 import path from 'path';
-import crypto from 'crypto';
-import { fileURLToPath } from 'url';
+import { renderElement } from './renderers.mjs';
+import { loadManifest, saveManifest, hashContent, relativeKey } from './manifest.mjs';
+import { sanitizeFileName, normalizeTitle, listPageTitle, talkTitle, mediaFileName, uniqueFileName, loadTitleMap, saveTitleMap, pageFilesByTitle } from './titles.mjs';
+import { findAttachments, createMediaWriter, fileMetadata, buildMediaSection, buildFileDescription } from './media.mjs';
+import { writeXmlDump } from './xmldump.mjs';
+import { formatFilterReport } from './workspace.mjs';
+import { createExportValidator, formatValidation, listEntries } from './validate.mjs';
+import { createProgress } from './progress.mjs';
+import { createMigrationReport, recordList, createAttachmentCheck, writeMigrationReport } from './migration.mjs';
+import {
+  entryOutline,
+  resolveListTitles,
+  entryReferences,
+  linkReferences,
+  buildBacklinks,
+  buildBreadcrumbs,
+  buildChildList,
+  groupLabel,
+  groupOrder
+} from './outline.mjs';
+import { collectActivities, entryActivities, isComment, isFieldChange, buildComments, buildChangelog, buildTalkPage } from './activities.mjs';
+import {
+  propertyName,
+  propertyType,
+  infoboxTemplateName,
+  renderAnnotatedElement,
+  buildInfoboxTemplate,
+  buildInfoboxCall,
+  buildPropertyPage
+} from './semantic.mjs';
 
-function sanitizeFileName(name) {
-  return name.replace(/[/\\?%*:|"<>]/g, '_');
-}
+// Writes the pages of the Template, Property, File and Talk namespaces. Names are shortened and
+// made unique within their directory like those of entry pages, and the title map records the
+// title of each file; a title written again keeps its file. Pages whose title is not simply
+// `<namespace>:<name>`, such as talk pages of other namespaces, are given their title.
+function createNamespaceWriter(outputDir, titleMap) {
+  const takenNames = new Map();
+  const fileByTitle = new Map();
 
-function truncateFileName(name, maxLength = 100) {
-  if (name.length <= maxLength) return name;
-  const hash = crypto.createHash('md5').update(name).digest('hex');
-  return name.slice(0, maxLength - hash.length - 1) + '_' + hash;
+  return (namespace, name, content, title = `${namespace}:${normalizeTitle(name)}`) => {
+    if (!fileByTitle.has(title)) {
+      if (!takenNames.has(namespace)) takenNames.set(namespace, new Set());
+      fileByTitle.set(title, `${namespace}/${uniqueFileName(name, takenNames.get(namespace), title)}.txt`);
+    }
+    const key = fileByTitle.get(title);
+    const pageFile = path.join(outputDir, key);
+    fs.mkdirSync(path.dirname(pageFile), { recursive: true });
+    fs.writeFileSync(pageFile, content);
+    titleMap.pages[key] = title;
+    console.log(`Created page: ${title}`);
+    return key;
+  };
 }
 
-async function copyMediaFiles(sourceDir, targetDir, listName, entryName) {
-  // Create the target directory structure
-  const mediaDir = path.join(targetDir, 'Media', sanitizeFileName(listName));
-  fs.mkdirSync(mediaDir, { recursive: true });
-
-  // Construct the source path for attachments - using exact path structure
-  const attachmentsPath = path.join(sourceDir, listName, 'Files', 'Items', entryName, 'Attachments');
-
-  if (fs.existsSync(attachmentsPath)) {
-    try {
-      const files = fs.readdirSync(attachmentsPath);
-      const copiedFiles = [];
-
-      for (const file of files) {
-        const sourcePath = path.join(attachmentsPath, file);
-        const targetPath = path.join(mediaDir, file); // Keep original filename for media files
-
-        // Only copy if source is a file (not a directory)
-        if (fs.statSync(sourcePath).isFile()) {
-          fs.copyFileSync(sourcePath, targetPath);
-          copiedFiles.push(file);
-          console.log(`Copied file: ${file} for ${listName}/${entryName}`);
-        }
-      }
-
-      return copiedFiles;
-    } catch (error) {
-      console.error(`Error copying files for ${listName}/${entryName}:`, error);
-      return [];
-    }
+// The file name an image URL points at. A bare % is not an escape, so such names are used as they are.
+function imageFileName(src) {
+  const name = path.basename(src.split(/[?#]/)[0]);
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
   }
-  return [];
 }
 
-async function transformZenkitToMediaWikiFiles(zenkitJson, outputDir, filesRootDir, eraseExisting = false) {
+// Converts an export held in memory
+function transformZenkitToMediaWikiFiles(zenkitJson, outputDir, filesRootDir, eraseExisting = false, options = {}) {
+  const source = { export: zenkitJson, lists: () => (Array.isArray(zenkitJson.lists) ? zenkitJson.lists : []) };
+  return transformExport(source, outputDir, filesRootDir, eraseExisting, options);
+}
+
+// Converts the lists of `source`, which lists() yields (synchronously or not) every time it is
+// called; the export itself is only given as `source.export` when it is held in memory. Lists are
+// read twice: once to title every entry and collect references, then to render them one at a time.
+// The entries of a list are read once per pass, so they may be streamed as well.
+async function transformExport(source, outputDir, filesRootDir, eraseExisting = false, options = {}) {
+  const layout = options.layout || 'sections';
+  const commentLayout = options.comments || 'none';
+  const renderField = options.semantic ? renderAnnotatedElement : renderElement;
+
   // If eraseExisting is true, delete all existing files and directories
   if (eraseExisting && fs.existsSync(outputDir)) {
     fs.rmSync(outputDir, { recursive: true });
@@ -59,116 +90,368 @@ async function transformZenkitToMediaWikiFiles(zenkitJson, outputDir, filesRootD
 
   // Create mapping of entry UUIDs to page names
   const entryUuidToPageNameMap = {};
-  
-  // Process each list in the workspace
-  if (!Array.isArray(zenkitJson.lists)) {
+  const unknownCategories = new Map();
+  const propertyTypes = new Map();
+  // Rebuilt on every run so the uploader titles pages exactly as links refer to them
+  const titleMap = { version: 1, lists: {}, pages: {}, files: {}, parents: {}, groups: {}, namespaces: {} };
+  // The previous one still tells which files the pages of removed media were written to
+  const previousTitles = loadTitleMap(outputDir);
+  const writeNamespacePage = createNamespaceWriter(outputDir, titleMap);
+
+  // Sync state from the previous run, used to report and skip unchanged entries
+  const manifest = loadManifest(outputDir);
+  const previousEntries = manifest.entries;
+  const syncCounts = { added: 0, changed: 0, unchanged: 0, renamed: 0, deleted: 0 };
+  manifest.entries = {};
+
+  // The export's shape is checked as the lists go by in the first pass, so problems show up even
+  // where the conversion quietly skips them. Warnings are listed by the validate command and in
+  // the migration report.
+  const validator = createExportValidator();
+  if (source.export) validator.checkExport(source.export);
+  if (source.export && !Array.isArray(source.export.lists)) {
+    const validation = validator.result();
+    console.warn(formatValidation(validation, { showWarnings: false }));
+    const migration = createMigrationReport(validation);
     console.error('No lists array found in workspace JSON');
+    if (options.migrationReport) writeMigrationReport(migration, options.migrationReport);
     return;
   }
 
-  for (const list of zenkitJson.lists) {
-    if (!list.list || !Array.isArray(list.elements)) continue;
+  // First pass: title the entries of all lists, so references across lists resolve in any order.
+  // With subpages, entries are titled after their parent. Only titles, references and entry counts
+  // are kept of each list, the entries themselves are read again in the second pass.
+  const listTitles = [];
+  const allParents = new Map();
+  const allReferences = [];
+  let listCount = 0;
+  let entryCount = 0;
+  for await (const list of source.lists()) {
+    const listIndex = listCount++;
+    validator.checkList(list, listIndex);
+    const convertible = Boolean(list.list) && Array.isArray(list.elements);
+    const outlines = [];
+    let entries = 0;
+    for await (const entry of listEntries(list)) {
+      validator.checkEntry(entry, listIndex, entries++);
+      if (!convertible) continue;
+      outlines.push(entryOutline(entry, list.elements));
+      allReferences.push(...entryReferences(list, entry));
+    }
+    entryCount += entries;
+    if (!convertible) {
+      listTitles.push({ titles: null, entries });
+      continue;
+    }
+    const titles = resolveListTitles({ ...list, entries: outlines }, { subpages: options.subpages });
+    for (const [entryUuid, { title }] of titles.entryTitles) {
+      entryUuidToPageNameMap[entryUuid] = title;
+    }
+    for (const [child, parent] of titles.parents) allParents.set(child, parent);
+    listTitles.push({ titles, entries });
+  }
+  const { backlinks, dangling } = linkReferences(allReferences, entryUuidToPageNameMap, allParents, options.hidden);
+
+  const validation = validator.result();
+  if (validation.errors.length > 0 || validation.warnings.length > 0) {
+    console.warn(formatValidation(validation, { showWarnings: false }));
+  }
+  const migration = createMigrationReport(validation);
+
+  // Attachments are copied in the background while pages are rendered
+  const media = createMediaWriter(outputDir, { mode: options.mediaMode, concurrency: options.copyConcurrency });
+  const progress = createProgress('Converted', entryCount, {
+    detail: () => (media.stats.queued > 0 ? `${media.stats.written} of ${media.stats.queued} attachments copied` : '')
+  });
+
+  let listIndex = 0;
+  for await (const list of source.lists()) {
+    const { titles, entries } = listTitles[listIndex++];
+    if (!titles) {
+      recordList(migration, list, { entries, skippedReason: 'list or elements missing from the export' });
+      continue;
+    }
 
     const listName = list.list.name;
+    const listTitle = listPageTitle(list);
+    if (list.source?.namespace) titleMap.namespaces[list.source.namespace] = list.source.namespaceNumber;
+    const listReport = recordList(migration, list, { title: listTitle, entries });
+    const filteredEntries = options.filterReport?.entries.get(listName) || [];
+    listReport.entries += filteredEntries.length;
+    listReport.excludedFields = options.filterReport?.fields.get(listName) || [];
+    for (const entry of filteredEntries) {
+      listReport.skipped.push({ entry, reason: 'left out by an entry filter' });
+    }
+    const attachmentCheck = options.migrationReport ?
+      createAttachmentCheck(migration, list, list.source?.files ?? filesRootDir, list.source?.name, filteredEntries) :
+      null;
+    titleMap.lists[sanitizeFileName(listName)] = listTitle;
     console.log(`Processing list: ${listName}`);
 
-    // First pass: Build UUID to page name mapping
-    if (Array.isArray(list.entries)) {
-      for (const entry of list.entries) {
-        const entryUuid = entry.uuid;
-        const pageName = `${listName}/${entry.displayString}`;
-        entryUuidToPageNameMap[entryUuid] = pageName;
+    if (layout === 'infobox') {
+      writeNamespacePage('Template', infoboxTemplateName(listName), buildInfoboxTemplate(listName, list.elements));
+    }
+
+    if (options.semantic) {
+      for (const element of list.elements) {
+        const type = propertyType(element);
+        const name = propertyName(element.name);
+        if (type && !propertyTypes.has(name)) {
+          propertyTypes.set(name, type);
+          writeNamespacePage('Property', name, buildPropertyPage(element.name, type));
+        }
       }
     }
 
+    const listActivities = collectActivities(list);
+
+    const { parents, entryTitles } = titles;
+    const childTitles = new Map();
+    for (const [child, parent] of parents) {
+      if (!childTitles.has(parent)) childTitles.set(parent, []);
+      childTitles.get(parent).push(entryUuidToPageNameMap[child]);
+    }
+    const ancestorTitles = uuid => {
+      const ancestors = [];
+      for (let parent = parents.get(uuid); parent; parent = parents.get(parent)) ancestors.unshift(entryUuidToPageNameMap[parent]);
+      return ancestors;
+    };
+
+    // The list page groups entries by the value of this field
+    const groupElement = options.groupBy ? list.elements.find(element => element.name === options.groupBy) : null;
+    if (groupElement) {
+      titleMap.groups[listTitle] = { field: groupElement.name, order: groupOrder(groupElement), pages: {} };
+    }
+
     // Second pass: Generate content and copy files
-    if (Array.isArray(list.entries)) {
-      for (const entry of list.entries) {
-        const sanitizedEntryName = sanitizeFileName(entry.displayString);
-        const truncatedEntryName = truncateFileName(sanitizedEntryName);
-        
-        // Copy media files
-        const copiedFiles = await copyMediaFiles(filesRootDir, outputDir, listName, entry.displayString);
-        
-        // Build page content
-        let pageContent = `[[Category:${listName}]]\n\n`;
-        
-        // Process each field
-        for (const element of list.elements) {
-          const elementId = element.uuid;
-          const elementName = element.name;
-          let elementValue = '';
-
-          // Handle different element types
-          switch (element.elementcategory) {
-            case 1: // Text
-              elementValue = entry[elementId + '_text'] || '';
-              break;
-            case 2: // Number
-              elementValue = entry[elementId + '_number']?.toString() || '';
-              break;
-            case 4: // Date
-              elementValue = entry[elementId + '_date'] ? 
-                new Date(entry[elementId + '_date']).toDateString() : '';
-              break;
-            case 6: // Categories
-              elementValue = entry[elementId + '_categories']?.map(cat => cat.name).join(', ') || '';
-              break;
-            case 14: // Persons
-              elementValue = entry[elementId + '_persons']?.map(person => person.displayString).join(', ') || '';
-              break;
-            case 16: // References
-              const references = entry[elementId + '_references'] || [];
-              elementValue = references
-                .map(refUuid => entryUuidToPageNameMap[refUuid] ? 
-                  `[[${entryUuidToPageNameMap[refUuid]}]]` : '')
-                .filter(ref => ref)
-                .join(', ');
-              break;
-          }
-
-          if (elementValue) {
-            pageContent += `\n== ${elementName} ==\n${elementValue}\n`;
-          }
+    for await (const entry of listEntries(list)) {
+      const { title: entryTitle, fileName: pageFileName } = entryTitles.get(entry.uuid);
+
+      // Copy media files, unless the entry is unchanged since the last run and its files are still
+      // there under the same names
+      const previous = previousEntries[entry.uuid];
+      const updatedAt = entry.updated_at || null;
+      const canReuseMedia = previous && updatedAt && previous.updatedAt === updatedAt &&
+        Array.isArray(previous.attachments) &&
+        previous.attachments.every(attachment => attachment?.file && attachment.title === mediaFileName(entryTitle, attachment.name) &&
+          fs.existsSync(path.join(outputDir, attachment.file)));
+      let attachments = previous?.attachments;
+      if (!canReuseMedia) {
+        const found = await findAttachments(list.source?.files ?? filesRootDir, listName, entry, entryTitle, list.elements, list.source?.name);
+        if (found.length > 0) fs.mkdirSync(path.join(outputDir, 'Media', sanitizeFileName(listName)), { recursive: true });
+        for (const { sourcePath, attachment } of found) media.add(sourcePath, attachment, `${listName}/${entry.displayString}`);
+        attachments = found.map(({ attachment }) => attachment);
+      }
+
+      // Each attachment gets a File: page pointing back at its entry
+      const metadata = fileMetadata(list.elements, entry);
+      for (const attachment of attachments) {
+        titleMap.files[attachment.file] = attachment.title;
+        const description = buildFileDescription(attachment, {
+          entryTitle,
+          listTitle,
+          metadata: metadata.get(attachment.name),
+          license: options.license,
+          category: options.fileCategory
+        });
+        writeNamespacePage('File', attachment.title, description);
+      }
+      const attachmentTitle = fileName => attachments.find(attachment => attachment.name === fileName)?.title || null;
+      
+      // Build page content
+      const renderContext = {
+        listName,
+        entryUuidToPageNameMap,
+        unknownCategories,
+        // Inline images in rich text and Files fields point at attachments exported with the entry
+        resolveImage: src => attachmentTitle(imageFileName(src)),
+        resolveFile: attachmentTitle
+      };
+      const infoboxFields = [];
+      let sections = '';
+      
+      // Process each field
+      for (const element of list.elements) {
+        const elementName = element.name;
+        const elementValue = renderField(element, entry, renderContext);
+        if (!elementValue) continue;
+
+        // Multi-line values such as rich text don't fit in a template parameter and stay as sections
+        if (layout === 'infobox' && !elementValue.includes('\n')) {
+          infoboxFields.push({ name: elementName, value: elementValue });
+        } else {
+          sections += `\n== ${elementName} ==\n${elementValue}\n`;
         }
+      }
+
+      let pageContent = `[[Category:${listTitle}]]\n\n`;
+      if (parents.has(entry.uuid)) {
+        pageContent += buildBreadcrumbs(listTitle, ancestorTitles(entry.uuid), entryTitle);
+      }
+      if (infoboxFields.length > 0) {
+        pageContent += buildInfoboxCall(listName, infoboxFields);
+      }
+      pageContent += sections;
 
-        // Add media files to page content
-        if (copiedFiles.length > 0) {
-          pageContent += '\n== Media ==\n';
-          for (const file of copiedFiles) {
-            pageContent += `[[File:${listName}/${file}]]\n`;
-          }
+      pageContent += buildChildList(entryTitle, childTitles.get(entry.uuid) || []);
+      pageContent += buildBacklinks(backlinks.get(entry.uuid));
+
+      // Add media files to page content
+      pageContent += buildMediaSection(attachments, options.images);
+
+      // Comments and field history go on the page, or on its Talk: page
+      const activities = entryActivities(entry, listActivities);
+      const comments = commentLayout === 'none' ? [] : activities.filter(isComment);
+      const changelog = options.history ? buildChangelog(activities.filter(isFieldChange), list.elements) : '';
+      let talkFile = null;
+      if (commentLayout === 'talk') {
+        if (comments.length > 0 || changelog) {
+          talkFile = writeNamespacePage('Talk', entryTitle, buildTalkPage(entryTitle, comments, changelog), talkTitle(entryTitle, titleMap.namespaces));
         }
+      } else {
+        if (comments.length > 0) pageContent += `\n== Discussion ==\n${buildComments(comments, 3)}`;
+        if (changelog) pageContent += `\n== History ==\n${changelog}`;
+      }
 
-        // Write page content to file
-        if (pageContent.trim() !== `[[Category:${listName}]]`) {
-          const listDir = path.join(outputDir, sanitizeFileName(listName));
-          fs.mkdirSync(listDir, { recursive: true });
-          const pageFile = path.join(listDir, `${truncatedEntryName}.txt`);
+      // Write page content to file
+      if (pageContent.trim() !== `[[Category:${listTitle}]]`) {
+        const listDir = path.join(outputDir, sanitizeFileName(listName));
+        fs.mkdirSync(listDir, { recursive: true });
+        const pageFile = path.join(listDir, `${pageFileName}.txt`);
+        const contentHash = hashContent(pageContent);
+
+        if (!previous) {
+          syncCounts.added++;
+        } else if (previous.contentHash !== contentHash) {
+          syncCounts.changed++;
+        } else {
+          syncCounts.unchanged++;
+        }
+
+        if (previous?.contentHash !== contentHash || !fs.existsSync(pageFile)) {
           fs.writeFileSync(pageFile, pageContent);
-          console.log(`Created page: ${listName}/${truncatedEntryName}.txt`);
+          console.log(`Created page: ${listName}/${pageFileName}.txt`);
         }
+
+        manifest.entries[entry.uuid] = {
+          list: listName,
+          title: entryUuidToPageNameMap[entry.uuid],
+          file: relativeKey(outputDir, pageFile),
+          updatedAt,
+          // Authorship for the XML dump's revisions
+          createdAt: entry.created_at || null,
+          createdBy: entry.created_by_displayname || entry.created_by?.displayname || null,
+          updatedBy: entry.updated_by_displayname || entry.updated_by?.displayname || null,
+          contentHash,
+          attachments,
+          talk: talkFile,
+          // Title the page currently has on the wiki, maintained by the uploader to detect renames
+          wikiTitle: previous?.wikiTitle
+        };
+        titleMap.pages[relativeKey(outputDir, pageFile)] = entryUuidToPageNameMap[entry.uuid];
+        if (parents.has(entry.uuid)) titleMap.parents[entryTitle] = entryUuidToPageNameMap[parents.get(entry.uuid)];
+        if (groupElement) titleMap.groups[listTitle].pages[entryTitle] = groupLabel(groupElement, entry, renderContext);
+        listReport.pages++;
+      } else {
+        listReport.skipped.push({ entry: entry.displayString || entry.uuid, reason: 'no content: every field is empty and it has no attachments' });
       }
+      attachmentCheck?.checkEntry(entry);
+      progress.tick();
     }
+    attachmentCheck?.finish();
+    // Keeps copies from falling more than a list behind the pages
+    await media.idle();
+  }
+  progress.finish();
+  if (media.stats.failed > 0) {
+    console.warn(`Warning: ${media.stats.failed} attachment(s) could not be copied, see the errors above`);
   }
 
-  console.log('Transformation completed successfully');
-}
+  for (const name of options.filterReport?.lists || []) {
+    recordList(migration, { list: { name } }, { skippedReason: 'left out by a list filter' });
+  }
+  migration.danglingReferences = dangling;
 
-// Set up file paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+  if (options.groupBy && Object.keys(titleMap.groups).length === 0) {
+    console.warn(`Warning: no list has a field named "${options.groupBy}" to group its list page by`);
+  }
 
-// Export the function for use in other modules
-export { transformZenkitToMediaWikiFiles };
+  if (dangling.length > 0) {
+    console.warn(`Warning: ${dangling.length} reference(s) point at entries missing from the export:`);
+    for (const { list, entry, field, uuid } of dangling) {
+      console.warn(`  ${list}/${entry} (${field}): ${uuid}`);
+    }
+  }
 
-// If running directly, process command line arguments
-if (import.meta.url === `file://${__filename}`) {
-  const zenkitJson = JSON.parse(fs.readFileSync(process.argv[2] || './Guide_to_Emergence_1.0_Prototype.json', 'utf8'));
-  const outputDir = process.argv[3] || path.join(__dirname, './mediawiki-pages');
-  const filesRootDir = process.argv[4] || path.join(__dirname, './lists');
-  const eraseExisting = process.argv.includes('--erase=true');
+  if (unknownCategories.size > 0) {
+    console.warn('Warning: fields with unsupported element categories were skipped:');
+    for (const [category, fields] of unknownCategories) {
+      console.warn(`  category ${category}: ${[...fields].join(', ')}`);
+    }
+  }
+
+  // Entries that disappeared from the export stay in the manifest so the uploader can
+  // apply its deletion policy to the pages they left on the wiki
+  for (const [uuid, previous] of Object.entries(previousEntries)) {
+    if (manifest.entries[uuid] || !previous.wikiTitle) continue;
+    manifest.entries[uuid] = { ...previous, deleted: true, deletedAt: previous.deletedAt || new Date().toISOString() };
+    if (!previous.deleted) syncCounts.deleted++;
+  }
+
+  // Remove page files left behind by renamed or deleted entries
+  const currentFiles = new Set(Object.values(manifest.entries).filter(entry => !entry.deleted).map(entry => entry.file));
+  for (const [uuid, previous] of Object.entries(previousEntries)) {
+    if (!previous.file || currentFiles.has(previous.file)) continue;
+    const staleFile = path.join(outputDir, previous.file);
+    if (fs.existsSync(staleFile)) {
+      fs.rmSync(staleFile);
+      const current = manifest.entries[uuid];
+      console.log(current && !current.deleted ?
+        `Renamed page: ${previous.file} -> ${current.file}` :
+        `Removed page of deleted entry: ${previous.file}`);
+    }
+    if (manifest.entries[uuid] && !manifest.entries[uuid].deleted) syncCounts.renamed++;
+  }
+
+  // Remove media files (and their File: pages) no entry uses any more, e.g. after a rename
+  const currentMedia = new Set(Object.keys(titleMap.files));
+  const previousPageFiles = pageFilesByTitle(previousTitles);
+  for (const previous of Object.values(previousEntries)) {
+    for (const attachment of previous.attachments || []) {
+      if (!attachment?.file || currentMedia.has(attachment.file)) continue;
+      const descriptionFile = previousPageFiles.get(`File:${normalizeTitle(attachment.title)}`) || `File/${sanitizeFileName(attachment.title)}.txt`;
+      const staleFiles = [attachment.file, titleMap.pages[descriptionFile] ? null : descriptionFile]
+        .filter(Boolean)
+        .map(staleFile => path.join(outputDir, staleFile))
+        .filter(stalePath => fs.existsSync(stalePath));
+      if (staleFiles.length === 0) continue;
+      for (const stalePath of staleFiles) fs.rmSync(stalePath);
+      console.log(`Removed media file no longer attached: ${attachment.file}`);
+    }
+  }
+
+  // Remove Talk: pages of renamed and deleted entries, and all of them once comments go elsewhere
+  const currentTalkPages = new Set(Object.values(manifest.entries).filter(entry => !entry.deleted).map(entry => entry.talk).filter(Boolean));
+  for (const previous of Object.values(previousEntries)) {
+    if (!previous.talk || currentTalkPages.has(previous.talk)) continue;
+    const stalePath = path.join(outputDir, previous.talk);
+    if (fs.existsSync(stalePath)) {
+      fs.rmSync(stalePath);
+      console.log(`Removed talk page: ${previous.talk}`);
+    }
+  }
+
+  saveTitleMap(outputDir, titleMap);
+  saveManifest(outputDir, manifest);
+  if (options.xmlDump) {
+    writeXmlDump(outputDir, options.xmlDump, { user: options.dumpUser });
+  }
+  console.log(`Entries: ${syncCounts.added} added, ${syncCounts.changed} changed, ${syncCounts.unchanged} unchanged, ` +
+    `${syncCounts.renamed} renamed, ${syncCounts.deleted} deleted`);
+  if (options.filterReport) console.log(formatFilterReport(options.filterReport));
+  if (options.migrationReport) writeMigrationReport(migration, options.migrationReport);
+
+  console.log('Transformation completed successfully');
+}
 
-  transformZenkitToMediaWikiFiles(zenkitJson, outputDir, filesRootDir, eraseExisting)
-    .catch(error => console.error('Error during conversion:', error));
-}
\ No newline at end of file
+export { transformZenkitToMediaWikiFiles, transformExport };
@@ -1,100 +1,161 @@
 import fs from 'fs';
 import path from 'path';
 import axios from 'axios';
-import { wrapper } from 'axios-cookiejar-support';
-import tough from 'tough-cookie';
-import FormData from 'form-data';
 import crypto from 'crypto';
-import pLimit from 'p-limit';
-
-wrapper(axios);
-const cookieJar = new tough.CookieJar();
+import { apiRequest, configureApi, schedule, apiStats, ApiError } from './api.mjs';
+import { loadManifest, saveManifest, hashContent, relativeKey } from './manifest.mjs';
+import { mergeThreeWay } from './diff.mjs';
+import { readJournal, outstandingFailures, applyChanges, replayJournal, openJournal, writeFailures } from './journal.mjs';
+import { validateAuth, useOAuth, missingRights } from './auth.mjs';
+import {
+  NAMESPACE_DIRECTORIES,
+  loadTitleMap,
+  titleForFile,
+  fileNameForMedia,
+  sameTitle,
+  listTitleForDirectory,
+  pageFilesByTitle
+} from './titles.mjs';
+import { createPlan, recordPlanItem, summarizePlan, formatPlanText, writePlanReport } from './plan.mjs';
+import {
+  resolveSiteConfig,
+  buildNavigation,
+  buildSiteMap,
+  buildListPage,
+  buildListIndex,
+  buildSidebar,
+  buildMainPage
+} from './site.mjs';
 
 // Configuration
-const RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
-const MAX_RETRIES = 5;
 const PAGE_UPLOAD_TIMEOUT = 30000;
 const FILE_UPLOAD_TIMEOUT = 60000;
-const RATE_LIMIT_DELAY = 100;
-const CONCURRENT_OPERATIONS = 5;
 const TOKEN_REFRESH_INTERVAL = 60000;
+// Files larger than one chunk are uploaded in chunks through the upload stash
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+const UPLOAD_POLL_INTERVAL = 2000;
+const MAX_UPLOAD_POLLS = 90;
+// Titles per read query; accounts with the apihighlimits right may ask for more
+const QUERY_BATCH_SIZE = 50;
+const HIGH_LIMITS_QUERY_BATCH_SIZE = 500;
+
+const DELETE_POLICIES = ['keep', 'tag', 'delete'];
+const CONFLICT_POLICIES = ['skip', 'subpage', 'merge', 'overwrite'];
+
+const OBSOLETE_TEMPLATE = `<div class="obsolete-notice" style="border: 1px solid #d33; background-color: #fee7e6; padding: 0.5em 1em; margin-bottom: 1em;">
+'''This entry was deleted in Zenkit.''' Its content is kept here for reference only.
+</div><includeonly>[[Category:Obsolete Zenkit entries]]</includeonly>`;
 
-const limit = pLimit(CONCURRENT_OPERATIONS);
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 // Token management
 let currentCSRFToken = null;
 let lastTokenRefresh = 0;
 
-async function withRetry(operation, name, maxRetries = MAX_RETRIES) {
-  let lastError;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const result = await operation();
-      if (attempt > 0) {
-        console.log(`Successfully completed ${name} after ${attempt + 1} attempts`);
-      }
-      return result;
-    } catch (error) {
-      lastError = error;
-      
-      if (error.response?.data?.error?.code === 'badtoken') {
-        console.log('Invalid token detected, refreshing...');
-        currentCSRFToken = await refreshCSRFToken();
-        continue;
-      }
+// Account the uploader is logged in as; edits by anyone else are treated as manual edits
+let botUsername = null;
 
-      const isRetryable = error.response?.status >= 500 || 
-                         error.code === 'ECONNRESET' ||
-                         error.code === 'ETIMEDOUT';
-      
-      if (!isRetryable && error.response?.status !== undefined) {
-        console.error(`Non-retryable error for ${name}:`, error.message);
-        throw error;
-      }
+// Removes the OAuth request signing installed by the last authenticate() call
+let removeOAuth = null;
 
-      if (attempt < maxRetries - 1) {
-        const delayTime = RETRY_DELAYS[attempt] || RETRY_DELAYS[RETRY_DELAYS.length - 1];
-        console.log(`Attempt ${attempt + 1} failed for ${name}. Retrying in ${delayTime/1000} seconds...`);
-        await delay(delayTime);
-      } else {
-        console.error(`All ${maxRetries} attempts failed for ${name}. Last error:`, error.message);
-        throw lastError;
-      }
-    }
-  }
-}
+// Set during a dry run; writes are recorded here instead of being sent to the wiki
+let activePlan = null;
 
 const WMAPI = {
   login: async function(apiUrl, username, password) {
-    return withRetry(async () => {
-      const tokenResponse = await axios.get(`${apiUrl}?action=query&meta=tokens&type=login&format=json`, {
-        jar: cookieJar,
-        withCredentials: true
-      });
-      const loginToken = tokenResponse.data.query.tokens.logintoken;
-
-      const loginResponse = await axios.post(apiUrl, new URLSearchParams({
-        action: 'login',
-        format: 'json',
-        lgname: username,
-        lgpassword: password,
-        lgtoken: loginToken
-      }), {
-        jar: cookieJar,
-        withCredentials: true,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      });
+    const tokenData = await apiRequest(apiUrl, { action: 'query', meta: 'tokens', type: 'login' }, { name: 'get login token', assert: false });
+    const loginToken = tokenData.query.tokens.logintoken;
+
+    const loginData = await apiRequest(apiUrl, {
+      action: 'login',
+      lgname: username,
+      lgpassword: password,
+      lgtoken: loginToken
+    }, { method: 'POST', assert: false });
+
+    if (loginData.login.result !== 'Success') {
+      throw new Error(`Login failed: ${loginData.login.reason}`);
+    }
+
+    botUsername = loginData.login.lgusername || username.split('@')[0];
 
-      if (loginResponse.data.login.result !== 'Success') {
-        throw new Error(`Login failed: ${loginResponse.data.login.reason}`);
+    return loginData;
+  },
+
+  // Logs in with action=clientlogin. When the wiki asks for more (e.g. a two-factor code),
+  // promptField(question, { hidden }) is called for each requested field.
+  clientLogin: async function(apiUrl, username, password, promptField) {
+    const tokenData = await apiRequest(apiUrl, { action: 'query', meta: 'tokens', type: 'login' }, { name: 'get login token', assert: false });
+    const loginToken = tokenData.query.tokens.logintoken;
+
+    const post = async params => (await apiRequest(apiUrl, {
+      action: 'clientlogin',
+      logintoken: loginToken,
+      ...params
+    }, { method: 'POST', assert: false })).clientlogin;
+
+    let response = await post({ username, password, loginreturnurl: apiUrl });
+    while (response?.status === 'UI') {
+      if (!promptField) {
+        throw new Error(`Login needs more information (${response.message}) but cannot prompt for it`);
       }
+      console.log(response.message);
+      const fields = {};
+      for (const request of response.requests || []) {
+        for (const [name, field] of Object.entries(request.fields || {})) {
+          fields[name] = await promptField(`${field.label || name}: `, { hidden: field.type === 'password' || Boolean(field.sensitive) });
+        }
+      }
+      response = await post({ logincontinue: 1, ...fields });
+    }
 
-      return loginResponse.data;
-    }, 'login');
+    if (response?.status !== 'PASS') {
+      throw new Error(`Login failed: ${response?.message || response?.status || 'no clientlogin response'}`);
+    }
+    return response;
+  },
+
+  getUserInfo: async function(apiUrl) {
+    try {
+      const data = await apiRequest(apiUrl, { action: 'query', meta: 'userinfo', uiprop: 'rights|groups' }, { name: 'get user info', assert: false });
+      return data.query.userinfo;
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      throw new Error(`Authentication failed: ${error.info || error.code}`);
+    }
+  },
+
+  // Signs in with one of AUTH_METHODS and returns the account's user info, including its rights.
+  // Requests made afterwards assert the session, and sign in the same way again if it is lost.
+  authenticate: async function(apiUrl, auth) {
+    validateAuth(auth);
+    if (removeOAuth) {
+      removeOAuth();
+      removeOAuth = null;
+    }
+    configureApi({ assert: null });
+    // CSRF tokens belong to the session being replaced
+    currentCSRFToken = null;
+
+    if (auth.method === 'oauth1' || auth.method === 'oauth2') {
+      removeOAuth = useOAuth(axios, auth);
+    } else if (auth.method === 'clientlogin') {
+      await this.clientLogin(apiUrl, auth.username, auth.password, auth.prompt);
+    } else {
+      await this.login(apiUrl, auth.username, auth.password);
+    }
+
+    const user = await this.getUserInfo(apiUrl);
+    if (user.anon !== undefined) {
+      throw new Error(`Authentication with ${auth.method} did not sign in to ${apiUrl}`);
+    }
+    botUsername = user.name;
+    configureApi({
+      assert: (user.rights || []).includes('bot') ? 'bot' : 'user',
+      reauthenticate: () => this.authenticate(apiUrl, auth),
+      refreshToken: () => this.getCSRFToken(apiUrl, true)
+    });
+    return user;
   },
 
   getCSRFToken: async function(apiUrl, force = false) {
@@ -103,48 +164,121 @@ const WMAPI = {
       return currentCSRFToken;
     }
 
-    return withRetry(async () => {
-      const response = await axios.get(`${apiUrl}?action=query&meta=tokens&format=json`, {
-        jar: cookieJar,
-        withCredentials: true
-      });
-      currentCSRFToken = response.data.query.tokens.csrftoken;
-      lastTokenRefresh = now;
-      return currentCSRFToken;
-    }, 'get CSRF token');
+    const data = await apiRequest(apiUrl, { action: 'query', meta: 'tokens' }, { name: 'get CSRF token' });
+    currentCSRFToken = data.query.tokens.csrftoken;
+    lastTokenRefresh = now;
+    return currentCSRFToken;
   },
 
   getPageContent: async function(apiUrl, pageTitle) {
-    return withRetry(async () => {
-      const response = await axios.get(`${apiUrl}?action=query&prop=revisions&titles=${encodeURIComponent(pageTitle)}&rvprop=content&format=json`, {
-        jar: cookieJar,
-        withCredentials: true
-      });
-      
-      const pages = response.data.query.pages;
-      const pageId = Object.keys(pages)[0];
-      
-      if (pageId === '-1') return null;
-      
-      const revisions = pages[pageId].revisions;
-      return revisions ? revisions[0]['*'] : null;
-    }, `get page content: ${pageTitle}`);
+    const data = await apiRequest(apiUrl, {
+      action: 'query',
+      prop: 'revisions',
+      titles: pageTitle,
+      rvprop: 'content'
+    }, { name: `get page content: ${pageTitle}` });
+
+    const pages = data.query.pages;
+    const pageId = Object.keys(pages)[0];
+
+    if (pageId === '-1') return null;
+
+    const revisions = pages[pageId].revisions;
+    return revisions ? revisions[0]['*'] : null;
+  },
+
+  getPageRevision: async function(apiUrl, pageTitle) {
+    const data = await apiRequest(apiUrl, {
+      action: 'query',
+      prop: 'revisions',
+      titles: pageTitle,
+      rvprop: 'ids|timestamp|user|content'
+    }, { name: `get page revision: ${pageTitle}` });
+
+    const pages = data.query.pages;
+    const pageId = Object.keys(pages)[0];
+
+    if (Number(pageId) < 0) return null;
+
+    const revision = pages[pageId].revisions?.[0];
+    if (!revision) return null;
+    return {
+      revid: revision.revid,
+      timestamp: revision.timestamp,
+      user: revision.user,
+      content: revision['*']
+    };
+  },
+
+  getRevisionContent: async function(apiUrl, revisionId) {
+    const data = await apiRequest(apiUrl, {
+      action: 'query',
+      prop: 'revisions',
+      revids: revisionId,
+      rvprop: 'content'
+    }, { name: `get revision content: ${revisionId}` });
+
+    const pages = data.query?.pages || {};
+    const page = Object.values(pages)[0];
+    return page?.revisions?.[0]?.['*'] ?? null;
+  },
+
+  // Revisions newer than `revisionId`, newest first
+  getRevisionsSince: async function(apiUrl, pageTitle, revisionId) {
+    const data = await apiRequest(apiUrl, {
+      action: 'query',
+      prop: 'revisions',
+      titles: pageTitle,
+      rvprop: 'ids|timestamp|user',
+      rvlimit: 50,
+      rvendid: revisionId
+    }, { name: `get revisions since ${revisionId}: ${pageTitle}` });
+
+    const page = Object.values(data.query.pages)[0];
+    return (page.revisions || []).filter(revision => revision.revid > revisionId);
   },
 
   getFileInfo: async function(apiUrl, filename) {
-    return withRetry(async () => {
-      const response = await axios.get(`${apiUrl}?action=query&prop=imageinfo&titles=File:${encodeURIComponent(filename)}&iiprop=sha1|size&format=json`, {
-        jar: cookieJar,
-        withCredentials: true
-      });
-      
-      const pages = response.data.query.pages;
-      const pageId = Object.keys(pages)[0];
-      
-      if (pageId === '-1') return null;
-      
-      return pages[pageId].imageinfo ? pages[pageId].imageinfo[0] : null;
-    }, `get file info: ${filename}`);
+    const data = await apiRequest(apiUrl, {
+      action: 'query',
+      prop: 'imageinfo',
+      titles: `File:${filename}`,
+      iiprop: 'sha1|size'
+    }, { name: `get file info: ${filename}` });
+
+    const pages = data.query.pages;
+    const pageId = Object.keys(pages)[0];
+
+    if (pageId === '-1') return null;
+
+    return pages[pageId].imageinfo ? pages[pageId].imageinfo[0] : null;
+  },
+
+  // Latest revision of each title, or null for missing pages. Titles whose revision did not come
+  // back are left out, so callers fall back to getPageRevision for them.
+  getPageRevisions: async function(apiUrl, pageTitles, batchSize = QUERY_BATCH_SIZE) {
+    const revisions = new Map();
+    await queryTitles(apiUrl, pageTitles, batchSize, { prop: 'revisions', rvprop: 'ids|timestamp|user|content' }, 'get page revisions', (title, page) => {
+      const revision = page.revisions?.[0];
+      if (page.missing !== undefined) {
+        revisions.set(title, null);
+      } else if (revision) {
+        revisions.set(title, { revid: revision.revid, timestamp: revision.timestamp, user: revision.user, content: revision['*'] });
+      }
+    });
+    return revisions;
+  },
+
+  // imageinfo (sha1 and size) of each file name, or null for missing files
+  getFileInfos: async function(apiUrl, filenames, batchSize = QUERY_BATCH_SIZE) {
+    const fileInfos = new Map();
+    const titles = filenames.map(filename => `File:${filename}`);
+    await queryTitles(apiUrl, titles, batchSize, { prop: 'imageinfo', iiprop: 'sha1|size' }, 'get file info', (title, page) => {
+      const filename = title.slice('File:'.length);
+      if (page.imageinfo) fileInfos.set(filename, page.imageinfo[0]);
+      else if (page.missing !== undefined) fileInfos.set(filename, null);
+    });
+    return fileInfos;
   },
 
   calculateFileSHA1: function(filePath) {
@@ -158,220 +292,734 @@ const WMAPI = {
     });
   },
 
-  uploadPage: async function(apiUrl, csrfToken, pageTitle, pageContent) {
-    return withRetry(async () => {
-      const response = await axios.post(apiUrl, new URLSearchParams({
-        action: 'edit',
-        format: 'json',
-        title: pageTitle,
-        text: pageContent,
-        token: csrfToken,
-        bot: '1'
-      }), {
-        jar: cookieJar,
-        withCredentials: true,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        timeout: PAGE_UPLOAD_TIMEOUT
-      });
-      return response.data;
-    }, `upload page: ${pageTitle}`);
+  // Write methods return the API response, including errors such as editconflict, for the
+  // caller to handle. editOptions may carry basetimestamp/starttimestamp so MediaWiki reports
+  // edit conflicts.
+  uploadPage: async function(apiUrl, csrfToken, pageTitle, pageContent, editOptions = {}) {
+    return apiRequest(apiUrl, {
+      action: 'edit',
+      title: pageTitle,
+      text: pageContent,
+      token: csrfToken,
+      bot: '1',
+      ...editOptions
+    }, { method: 'POST', name: `upload page: ${pageTitle}`, timeout: PAGE_UPLOAD_TIMEOUT, returnErrors: true });
   },
 
-  uploadFile: async function(apiUrl, csrfToken, filePath, filename) {
-    return withRetry(async () => {
-      const formData = new FormData();
-      formData.append('action', 'upload');
-      formData.append('format', 'json');
-      formData.append('filename', filename);
-      formData.append('token', csrfToken);
-      formData.append('ignorewarnings', '1');
-      formData.append('file', fs.createReadStream(filePath));
-
-      const response = await axios.post(apiUrl, formData, {
-        jar: cookieJar,
-        withCredentials: true,
-        headers: {
-          ...formData.getHeaders(),
-          'Content-Length': formData.getLengthSync()
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: FILE_UPLOAD_TIMEOUT
-      });
+  movePage: async function(apiUrl, csrfToken, fromTitle, toTitle, reason) {
+    return apiRequest(apiUrl, {
+      action: 'move',
+      from: fromTitle,
+      to: toTitle,
+      reason,
+      movetalk: '1',
+      token: csrfToken
+    }, { method: 'POST', name: `move page: ${fromTitle} -> ${toTitle}`, timeout: PAGE_UPLOAD_TIMEOUT, returnErrors: true });
+  },
 
-      return response.data;
-    }, `upload file: ${filename}`);
+  deletePage: async function(apiUrl, csrfToken, pageTitle, reason) {
+    return apiRequest(apiUrl, {
+      action: 'delete',
+      title: pageTitle,
+      reason,
+      token: csrfToken
+    }, { method: 'POST', name: `delete page: ${pageTitle}`, timeout: PAGE_UPLOAD_TIMEOUT, returnErrors: true });
+  },
+
+  // Upload warnings (e.g. a duplicate of another file) come back as result 'Warning' with a
+  // filekey; pass uploadOptions.ignorewarnings only to override them
+  uploadFile: async function(apiUrl, csrfToken, filePath, filename, uploadOptions = {}) {
+    return apiRequest(apiUrl, {
+      action: 'upload',
+      filename,
+      token: csrfToken,
+      ...uploadOptions,
+      file: () => fs.createReadStream(filePath)
+    }, { method: 'POST', multipart: true, name: `upload file: ${filename}`, timeout: FILE_UPLOAD_TIMEOUT, returnErrors: true });
+  },
+
+  // Sends the chunk of a file starting at `offset` to the upload stash. The first chunk is sent
+  // without a filekey; the response carries the filekey and offset for the next one.
+  uploadChunk: async function(apiUrl, csrfToken, filePath, filename, { offset, chunkSize, fileSize, filekey }) {
+    const end = Math.min(offset + chunkSize, fileSize) - 1;
+    return apiRequest(apiUrl, {
+      action: 'upload',
+      stash: '1',
+      filename,
+      filesize: fileSize,
+      offset,
+      ...(filekey ? { filekey } : {}),
+      token: csrfToken,
+      chunk: () => fs.createReadStream(filePath, { start: offset, end })
+    }, { method: 'POST', multipart: true, name: `upload chunk ${offset}-${end}: ${filename}`, timeout: FILE_UPLOAD_TIMEOUT, returnErrors: true });
+  },
+
+  // Wikis that assemble chunks in the background answer 'Poll' until the file is ready
+  checkUploadStatus: async function(apiUrl, csrfToken, filekey) {
+    return apiRequest(apiUrl, {
+      action: 'upload',
+      checkstatus: '1',
+      filekey,
+      token: csrfToken
+    }, { method: 'POST', name: `check upload status: ${filekey}`, returnErrors: true });
+  },
+
+  // Publishes a stashed file under its name
+  commitUpload: async function(apiUrl, csrfToken, filekey, filename, uploadOptions = {}) {
+    return apiRequest(apiUrl, {
+      action: 'upload',
+      filename,
+      filekey,
+      token: csrfToken,
+      ...uploadOptions
+    }, { method: 'POST', name: `publish upload: ${filename}`, timeout: FILE_UPLOAD_TIMEOUT, returnErrors: true });
   }
 };
 
+// Queries many titles batchSize at a time, following continuation, and calls onPage with each
+// requested title and the page the wiki returned for it (titles may come back normalized)
+async function queryTitles(apiUrl, titles, batchSize, params, name, onPage) {
+  const unique = [...new Set(titles)];
+  for (let start = 0; start < unique.length; start += batchSize) {
+    const batch = unique.slice(start, start + batchSize);
+    let continuation = {};
+    do {
+      // Sent as POST, a batch of long titles would not fit in a URL
+      const data = await apiRequest(apiUrl, { action: 'query', titles: batch.join('|'), ...params, ...continuation }, {
+        method: 'POST',
+        name: `${name} (${start + 1}-${start + batch.length} of ${unique.length})`
+      });
+
+      const requested = new Map(batch.map(title => [title, [title]]));
+      for (const { from, to } of data.query?.normalized || []) {
+        const original = requested.get(from) || [from];
+        requested.delete(from);
+        requested.set(to, [...(requested.get(to) || []), ...original]);
+      }
+      for (const page of Object.values(data.query?.pages || {})) {
+        for (const title of requested.get(page.title) || []) onPage(title, page);
+      }
+      continuation = data.continue;
+    } while (continuation);
+  }
+}
+
 async function refreshCSRFToken(apiUrl) {
   return await WMAPI.getCSRFToken(apiUrl, true);
 }
 
-async function createListPages(apiUrl, csrfToken, structure, mediawikiDir) {
+// Writes a page, or in dry-run mode records what writing it would change
+async function savePage(apiUrl, csrfToken, pageTitle, pageContent) {
+  if (!activePlan) {
+    return WMAPI.uploadPage(apiUrl, csrfToken, pageTitle, pageContent);
+  }
+
+  const existingContent = await WMAPI.getPageContent(apiUrl, pageTitle);
+  const action = existingContent === null ? 'create' : existingContent === pageContent ? 'skip' : 'update';
+  recordPlanItem(activePlan, {
+    type: 'page',
+    title: pageTitle,
+    action,
+    reason: action === 'skip' ? 'identical content exists' : undefined,
+    existingContent,
+    content: pageContent
+  });
+  return { edit: { result: 'Success', dryRun: true } };
+}
+
+async function createListPages(apiUrl, csrfToken, structure, mediawikiDir, site, titles) {
   for (const [listName, pages] of Object.entries(structure)) {
-    let pageContent = `= ${listName.replace(/_/g, ' ')} =\n\n`;
-    pageContent += `{{Navigation}}\n\n`;
-    
     // Add list description if it exists
-    const listJsonPath = path.join(mediawikiDir, listName, `${listName}.json`);
+    let description = '';
+    const listDir = Object.keys(titles.lists).find(dir => titles.lists[dir] === listName) || listName;
+    const listJsonPath = path.join(mediawikiDir, listDir, `${listDir}.json`);
     if (fs.existsSync(listJsonPath)) {
       try {
         const listData = JSON.parse(fs.readFileSync(listJsonPath, 'utf8'));
-        if (listData.list && listData.list.description) {
-          pageContent += `${listData.list.description}\n\n`;
-        }
+        description = listData.list?.description || '';
       } catch (error) {
         console.error(`Error reading list description for ${listName}:`, error.message);
       }
     }
 
-    // Add pages section
-    pageContent += '== Pages in this Section ==\n\n';
-    pages.sort((a, b) => a.localeCompare(b)).forEach(page => {
-      pageContent += `* [[${listName}/${page}|${page.replace(/_/g, ' ')}]]\n`;
-    });
-
-    await WMAPI.uploadPage(apiUrl, csrfToken, listName, pageContent);
+    const outline = { parents: titles.parents, groups: titles.groups[listName] };
+    await savePage(apiUrl, csrfToken, listName, buildListPage(site, listName, pages, description, outline));
     console.log(`✓ Created list page for ${listName}`);
   }
 }
 
-async function createListIndex(apiUrl, csrfToken, structure) {
-  let indexContent = `= Guide to Emergence Lists =\n\n`;
-  indexContent += `{{Navigation}}\n\n`;
-  indexContent += `This page provides quick access to all major sections of the Guide to Emergence.\n\n`;
-  
-  const lists = Object.keys(structure)
-    .filter(name => name !== 'Homepage')
-    .sort((a, b) => a.localeCompare(b));
-  
-  for (const listName of lists) {
-    const pageCount = structure[listName].length;
-    indexContent += `* [[${listName}|${listName.replace(/_/g, ' ')}]] (${pageCount} pages)\n`;
-  }
-
-  await WMAPI.uploadPage(apiUrl, csrfToken, 'Lists', indexContent);
+async function createListIndex(apiUrl, csrfToken, structure, site) {
+  await savePage(apiUrl, csrfToken, 'Lists', buildListIndex(site, structure));
   console.log('✓ Created Lists index page');
 }
 
-async function createNavigationTemplate(apiUrl, csrfToken) {
-  const templateContent = `<div class="main-navigation">
-{| class="wikitable" style="width: 100%; background-color: #f8f9fa; margin: 1em 0;"
-|-
-| style="padding: 1em;" |
-* [[Main Page|Home]]
-* [[Lists|All Lists]]
-* [[Site Map|Site Map]]
-|}
-</div>`;
-
-  await WMAPI.uploadPage(apiUrl, csrfToken, 'Template:Navigation', templateContent);
+async function createNavigationTemplate(apiUrl, csrfToken, site) {
+  await savePage(apiUrl, csrfToken, 'Template:Navigation', buildNavigation(site));
   console.log('✓ Created navigation template');
 }
 
-async function createSidebarNavigation(apiUrl, csrfToken, structure) {
-  const sidebarContent = `* navigation
-** mainpage|Home
-** Lists|All Lists
-** Site Map|Site Map
-* Lists
-${Object.keys(structure)
-  .filter(name => name !== 'Homepage')
-  .sort()
-  .map(name => `** ${name}|${name.replace(/_/g, ' ')}`)
-  .join('\n')}`;
-
-  await WMAPI.uploadPage(apiUrl, csrfToken, 'MediaWiki:Sidebar', sidebarContent);
+async function createSidebarNavigation(apiUrl, csrfToken, structure, site) {
+  await savePage(apiUrl, csrfToken, 'MediaWiki:Sidebar', buildSidebar(site, structure));
   console.log('✓ Created sidebar navigation');
 }
 
-async function createSiteMap(apiUrl, csrfToken, structure) {
-  let siteMapContent = `= Guide to Emergence Site Map =\n\n`;
-  siteMapContent += `{{Navigation}}\n\n`;
-  
-  const lists = Object.keys(structure)
-    .filter(name => name !== 'Homepage')
-    .sort((a, b) => a.localeCompare(b));
-  
-  for (const listName of lists) {
-    siteMapContent += `== ${listName.replace(/_/g, ' ')} ==\n`;
-    const pages = structure[listName].sort((a, b) => a.localeCompare(b));
-    pages.forEach(page => {
-      siteMapContent += `* [[${listName}/${page}|${page.replace(/_/g, ' ')}]]\n`;
+async function createSiteMap(apiUrl, csrfToken, structure, site) {
+  await savePage(apiUrl, csrfToken, 'Site Map', buildSiteMap(site, structure));
+  console.log('✓ Created site map');
+}
+
+// The main page wraps the content of a generated page, read locally so dry runs see it too
+async function createMainPage(apiUrl, csrfToken, mediawikiDir, site, pageFiles) {
+  const sourceFile = path.join(mediawikiDir, pageFiles.get(site.mainPage) || `${site.mainPage}.txt`);
+  const sourceContent = fs.existsSync(sourceFile) ?
+    fs.readFileSync(sourceFile, 'utf8') :
+    await WMAPI.getPageContent(apiUrl, site.mainPage);
+  if (!sourceContent) {
+    console.warn(`⚠ Main page source "${site.mainPage}" not found, Main Page left unchanged`);
+    return;
+  }
+
+  await savePage(apiUrl, csrfToken, 'Main Page', buildMainPage(site, sourceContent));
+  console.log('✓ Main page created successfully');
+}
+
+// Applies what a done item changed to the sync manifest, and journals it so an interrupted upload
+// can replay the change
+function recordDone(sync, item, changes) {
+  applyChanges(sync.manifest, changes);
+  sync.journal?.done(item, changes);
+}
+
+// Counts a failed item and journals it with the wiki's error code, for --retry-failed
+function recordFailure(stats, sync, item, error) {
+  const failure = { ...item, code: error?.code || 'error', info: error?.info || error?.message || null };
+  stats.errors++;
+  stats.report.failures.push(failure);
+  sync.journal?.failed(item, failure);
+}
+
+// Moves pages of entries renamed in Zenkit to their new title, leaving a redirect behind
+async function applyRenames(apiUrl, stats, sync) {
+  for (const [uuid, entry] of Object.entries(sync.manifest.entries)) {
+    if (entry.deleted || !entry.wikiTitle || !entry.file) continue;
+    const pageTitle = titleForFile(sync.titles, entry.file);
+    if (sameTitle(entry.wikiTitle, pageTitle)) continue;
+
+    if (activePlan) {
+      recordPlanItem(activePlan, { type: 'page', title: entry.wikiTitle, action: 'move', to: pageTitle, reason: 'entry renamed in Zenkit' });
+      // Compare the page under its new title against the content it has before the move
+      sync.plannedMoves[pageTitle] = entry.wikiTitle;
+      continue;
+    }
+
+    const item = { type: 'move', key: uuid, title: entry.wikiTitle, to: pageTitle };
+    try {
+      console.log(`↪ Moving page "${entry.wikiTitle}" to "${pageTitle}"`);
+      const result = await WMAPI.movePage(apiUrl, currentCSRFToken, entry.wikiTitle, pageTitle, 'Entry renamed in Zenkit');
+
+      if (result.move) {
+        console.log(`✓ Page "${entry.wikiTitle}" moved to "${pageTitle}"`);
+        stats.pagesMoved++;
+        stats.report.moved.push({ from: entry.wikiTitle, to: pageTitle });
+      } else if (result.error?.code === 'missingtitle') {
+        console.log(`⏭ Page "${entry.wikiTitle}" no longer exists, creating "${pageTitle}" instead`);
+      } else {
+        console.error(`✗ Failed to move page "${entry.wikiTitle}"`, result.error || result);
+        recordFailure(stats, sync, item, result.error);
+        continue;
+      }
+
+      // Carry the sync state over so the moved page is compared as usual
+      const changes = { pages: {}, entries: { [uuid]: { wikiTitle: pageTitle } } };
+      const oldKey = Object.keys(sync.manifest.pages).find(key => sync.manifest.pages[key].title === entry.wikiTitle);
+      if (oldKey && oldKey !== entry.file) {
+        changes.pages[oldKey] = null;
+        changes.pages[entry.file] = { ...sync.manifest.pages[oldKey], title: pageTitle };
+      }
+      recordDone(sync, item, changes);
+    } catch (error) {
+      console.error(`✗ Error moving page "${entry.wikiTitle}":`, error.message);
+      recordFailure(stats, sync, item, error);
+    }
+  }
+}
+
+// Applies the deletion policy to pages of entries that disappeared from the Zenkit export:
+// 'keep' only reports them, 'tag' marks them with {{Obsolete}}, 'delete' removes them
+async function applyDeletions(apiUrl, stats, sync, policy) {
+  const deleted = Object.entries(sync.manifest.entries).filter(([, entry]) => entry.deleted && entry.wikiTitle);
+  if (deleted.length === 0) return;
+
+  if (policy === 'tag') {
+    await savePage(apiUrl, currentCSRFToken, 'Template:Obsolete', OBSOLETE_TEMPLATE);
+  }
+
+  for (const [uuid, entry] of deleted) {
+    if (activePlan) {
+      const action = policy === 'keep' || (policy === 'tag' && entry.obsoleteTaggedAt) ? 'skip' : policy;
+      recordPlanItem(activePlan, { type: 'page', title: entry.wikiTitle, action, reason: 'entry deleted in Zenkit' });
+      continue;
+    }
+
+    const item = { type: policy === 'delete' ? 'delete' : 'tag', key: uuid, title: entry.wikiTitle };
+    try {
+      if (policy === 'delete') {
+        const result = await WMAPI.deletePage(apiUrl, currentCSRFToken, entry.wikiTitle, 'Entry deleted in Zenkit');
+        if (!result.delete && result.error?.code !== 'missingtitle') {
+          console.error(`✗ Failed to delete page "${entry.wikiTitle}"`, result.error || result);
+          recordFailure(stats, sync, item, result.error);
+          continue;
+        }
+        console.log(`✓ Deleted page "${entry.wikiTitle}"`);
+        stats.pagesDeleted++;
+        stats.report.removed.push({ title: entry.wikiTitle, action: 'deleted' });
+        const changes = { entries: { [uuid]: null }, pages: {} };
+        const pageKey = Object.keys(sync.manifest.pages).find(key => sync.manifest.pages[key].title === entry.wikiTitle);
+        if (pageKey) changes.pages[pageKey] = null;
+        recordDone(sync, item, changes);
+      } else if (policy === 'tag') {
+        if (entry.obsoleteTaggedAt) continue;
+        const content = await WMAPI.getPageContent(apiUrl, entry.wikiTitle);
+        if (content !== null && !content.includes('{{Obsolete')) {
+          const result = await WMAPI.uploadPage(apiUrl, currentCSRFToken, entry.wikiTitle, `{{Obsolete}}\n${content}`);
+          if (result.edit?.result !== 'Success') {
+            console.error(`✗ Failed to tag page "${entry.wikiTitle}" as obsolete`, result.error || result);
+            recordFailure(stats, sync, item, result.error);
+            continue;
+          }
+        }
+        console.log(`✓ Tagged page "${entry.wikiTitle}" as obsolete`);
+        stats.pagesTagged++;
+        stats.report.removed.push({ title: entry.wikiTitle, action: 'tagged' });
+        recordDone(sync, item, { entries: { [uuid]: { obsoleteTaggedAt: new Date().toISOString() } } });
+      } else {
+        console.log(`⏭ Keeping page "${entry.wikiTitle}" of deleted entry`);
+        stats.report.removed.push({ title: entry.wikiTitle, action: 'kept' });
+      }
+    } catch (error) {
+      console.error(`✗ Error removing page "${entry.wikiTitle}":`, error.message);
+      recordFailure(stats, sync, item, error);
+    }
+  }
+}
+
+// Upload warnings that don't stop an upload. 'exists' is expected when a changed attachment
+// replaces the previous version; the others are reported.
+const ACCEPTED_UPLOAD_WARNINGS = {
+  exists: null,
+  'exists-normalized': 'a file with a similar name exists',
+  'page-exists': 'the file description page already exists',
+  'was-deleted': 'a file with this name was deleted before',
+  'duplicate-archive': 'the same content was deleted before',
+  duplicate: 'the same content exists as',
+  'large-file': 'the file is larger than the wiki recommends'
+};
+
+// Why other warnings stop an upload
+const BLOCKING_UPLOAD_WARNINGS = {
+  badfilename: 'the wiki would store it under a different name',
+  'filetype-unwanted-type': 'the wiki does not allow this file type',
+  emptyfile: 'the file is empty',
+  'exists-forbidden': 'the file exists and cannot be overwritten'
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KiB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+}
+
+// Sends a file to the upload stash chunk by chunk. The filekey and offset are kept in the sync
+// manifest after every chunk, so an interrupted upload continues where it stopped next time.
+async function stashInChunks(apiUrl, filePath, filename, { fileKey, sha1, size }, sync) {
+  const uploads = sync.manifest.uploads;
+  const saved = uploads[fileKey];
+  let progress = saved && saved.sha1 === sha1 && saved.filename === filename ?
+    saved :
+    { filename, sha1, size, offset: 0, filekey: null, startedAt: new Date().toISOString() };
+  if (progress.offset > 0) {
+    console.log(`↪ Resuming upload of "${filename}" at ${formatBytes(progress.offset)} of ${formatBytes(size)}`);
+  }
+
+  const finish = () => {
+    delete uploads[fileKey];
+    saveManifest(sync.mediawikiDir, sync.manifest);
+  };
+
+  for (;;) {
+    const result = await WMAPI.uploadChunk(apiUrl, currentCSRFToken, filePath, filename, {
+      offset: progress.offset,
+      chunkSize: sync.chunkSize,
+      fileSize: size,
+      filekey: progress.filekey
     });
-    siteMapContent += '\n';
+
+    if (result.error) {
+      // Stashed chunks expire after a while; start over once if resuming failed
+      if (progress === saved && progress.offset > 0) {
+        console.log(`⚠ Could not resume upload of "${filename}" (${result.error.info || result.error.code}), starting over`);
+        progress = { filename, sha1, size, offset: 0, filekey: null, startedAt: new Date().toISOString() };
+        continue;
+      }
+      finish();
+      return result;
+    }
+
+    let upload = result.upload;
+    progress.filekey = upload.filekey || progress.filekey;
+    if (upload.result === 'Continue') {
+      progress.offset = upload.offset;
+      uploads[fileKey] = progress;
+      saveManifest(sync.mediawikiDir, sync.manifest);
+      console.log(`  ${filename}: ${Math.floor((progress.offset / size) * 100)}% (${formatBytes(progress.offset)} of ${formatBytes(size)})`);
+      continue;
+    }
+
+    for (let polls = 0; upload.result === 'Poll' && polls < MAX_UPLOAD_POLLS; polls++) {
+      await delay(UPLOAD_POLL_INTERVAL);
+      const status = await WMAPI.checkUploadStatus(apiUrl, currentCSRFToken, progress.filekey);
+      if (status.error) {
+        finish();
+        return status;
+      }
+      upload = status.upload;
+    }
+
+    finish();
+    if (upload.result === 'Poll') {
+      return { error: { code: 'uploadpolltimeout', info: `the wiki was still assembling the chunks after ${MAX_UPLOAD_POLLS} checks` } };
+    }
+    return { upload: { ...upload, filekey: upload.filekey || progress.filekey } };
   }
+}
 
-  await WMAPI.uploadPage(apiUrl, csrfToken, 'Site Map', siteMapContent);
-  console.log('✓ Created site map');
+// Uploads a file, through the stash in chunks when it is larger than one chunk, and publishes
+// it unless the wiki warns about something that should stop it
+async function publishFile(apiUrl, filePath, filename, file, sync, stats) {
+  const publishOptions = { comment: 'Attachment imported from Zenkit', ...(file.description ? { text: file.description } : {}) };
+  let result;
+  if (file.size > sync.chunkSize) {
+    result = await stashInChunks(apiUrl, filePath, filename, file, sync);
+    if (result.upload?.filekey && result.upload.result === 'Success') {
+      result = await WMAPI.commitUpload(apiUrl, currentCSRFToken, result.upload.filekey, filename, publishOptions);
+    }
+  } else {
+    result = await WMAPI.uploadFile(apiUrl, currentCSRFToken, filePath, filename, publishOptions);
+  }
+  if (result.upload?.result !== 'Warning') return result;
+
+  const warnings = result.upload.warnings || {};
+  const blocking = Object.keys(warnings).filter(warning => !(warning in ACCEPTED_UPLOAD_WARNINGS));
+  if (blocking.length > 0) {
+    const reasons = blocking.map(warning => `${warning}: ${BLOCKING_UPLOAD_WARNINGS[warning] || JSON.stringify(warnings[warning])}`);
+    return { error: { code: 'uploadwarning', info: `not uploaded because of wiki warnings (${reasons.join('; ')})` } };
+  }
+
+  for (const [warning, details] of Object.entries(warnings)) {
+    const note = ACCEPTED_UPLOAD_WARNINGS[warning];
+    if (!note) continue;
+    const message = warning === 'duplicate' ? `${note} ${[].concat(details).map(name => `File:${name}`).join(', ')}` : note;
+    console.log(`⚠ File "${filename}": ${message}`);
+    stats.report.fileWarnings.push({ filename, warning, message });
+  }
+  if (!result.upload.filekey) {
+    return { error: { code: 'uploadwarning', info: `the wiki warned (${Object.keys(warnings).join(', ')}) without stashing the file` } };
+  }
+  return WMAPI.commitUpload(apiUrl, currentCSRFToken, result.upload.filekey, filename, { ...publishOptions, ignorewarnings: '1' });
+}
+
+// Files with the size and modification time of their last upload are not checked against the wiki
+function fileUnchanged(sync, filePath) {
+  const fileKey = relativeKey(sync.mediawikiDir, filePath);
+  const synced = sync.manifest.files[fileKey];
+  if (!(sync.incremental || sync.resumed.has(fileKey)) || !synced) return false;
+  const { size, mtimeMs } = fs.statSync(filePath);
+  return synced.size === size && synced.mtimeMs === mtimeMs;
+}
+
+// Pages with the title and content of their last upload are not checked against the wiki
+function pageUnchanged(sync, pageKey, pageTitle, localHash) {
+  const synced = sync.manifest.pages[pageKey];
+  return (sync.incremental || sync.resumed.has(pageKey)) && synced && synced.title === pageTitle && synced.uploadedHash === localHash;
 }
 
 // Process individual files and pages
-async function processFile(apiUrl, csrfToken, filePath, listDir, mediaFile, stats) {
-  return limit(async () => {
-    const destFilename = `${listDir}/${mediaFile}`;
+async function processFile(apiUrl, csrfToken, filePath, listDir, mediaFile, stats, sync) {
+  return schedule(async () => {
+    const fileKey = relativeKey(sync.mediawikiDir, filePath);
+    const destFilename = fileNameForMedia(sync.titles, fileKey);
     try {
-      const existingFile = await WMAPI.getFileInfo(apiUrl, destFilename);
+      const { size, mtimeMs } = fs.statSync(filePath);
+      const synced = sync.manifest.files[fileKey];
+      if (fileUnchanged(sync, filePath)) {
+        console.log(`⏭ Skipping file "${mediaFile}" - unchanged since last sync`);
+        stats.filesUnchanged++;
+        if (activePlan) recordPlanItem(activePlan, { type: 'file', title: destFilename, action: 'skip', reason: 'unchanged since last sync' });
+        return;
+      }
+
       const localSHA1 = await WMAPI.calculateFileSHA1(filePath);
+      const recordSync = outcome => recordDone(sync, { type: 'file', key: fileKey, title: destFilename, outcome }, {
+        files: { [fileKey]: { filename: destFilename, sha1: localSHA1, size, mtimeMs } }
+      });
+
+      if (sync.incremental && synced && synced.sha1 === localSHA1) {
+        console.log(`⏭ Skipping file "${mediaFile}" - unchanged since last sync`);
+        stats.filesUnchanged++;
+        recordSync('unchanged');
+        if (activePlan) recordPlanItem(activePlan, { type: 'file', title: destFilename, action: 'skip', reason: 'unchanged since last sync' });
+        return;
+      }
+
+      const existingFile = sync.existingFiles.has(destFilename) ?
+        sync.existingFiles.get(destFilename) :
+        await WMAPI.getFileInfo(apiUrl, destFilename);
       
       if (existingFile && existingFile.sha1 === localSHA1) {
         console.log(`⏭ Skipping file "${mediaFile}" - identical file exists`);
         stats.filesSkipped++;
+        recordSync('skipped');
+        if (activePlan) recordPlanItem(activePlan, { type: 'file', title: destFilename, action: 'skip', reason: 'identical file exists' });
         return;
       }
 
-      console.log(`↑ Uploading file: ${mediaFile}`);
-      const uploadResult = await WMAPI.uploadFile(apiUrl, currentCSRFToken, filePath, destFilename);
-      
+      if (activePlan) {
+        recordPlanItem(activePlan, { type: 'file', title: destFilename, action: existingFile ? 'update' : 'create' });
+        return;
+      }
+
+      const chunks = Math.ceil(size / sync.chunkSize);
+      console.log(`↑ Uploading file: ${mediaFile}${chunks > 1 ? ` (${formatBytes(size)} in ${chunks} chunks)` : ''}`);
+      // The generated File: page becomes the description of newly uploaded files
+      const descriptionFile = sync.pageForTitle.get(`File:${destFilename}`);
+      const description = descriptionFile ? fs.readFileSync(path.join(sync.mediawikiDir, descriptionFile), 'utf8') : undefined;
+      const uploadResult = await publishFile(apiUrl, filePath, destFilename, { fileKey, sha1: localSHA1, size, description }, sync, stats);
+
       if (uploadResult.upload && uploadResult.upload.result === 'Success') {
         console.log(`✓ File "${mediaFile}" uploaded successfully`);
         stats.filesUploaded++;
+        recordSync('uploaded');
+      } else if (uploadResult.error?.code === 'fileexists-no-change') {
+        console.log(`⏭ Skipping file "${mediaFile}" - identical file exists`);
+        stats.filesSkipped++;
+        recordSync('skipped');
       } else {
-        console.error(`✗ Failed to upload file "${mediaFile}"`, uploadResult);
-        stats.errors++;
+        console.error(`✗ Failed to upload file "${mediaFile}":`, uploadResult.error?.info || uploadResult.error || uploadResult);
+        recordFailure(stats, sync, { type: 'file', key: fileKey, title: destFilename }, uploadResult.error);
       }
     } catch (error) {
       console.error(`✗ Error processing file "${mediaFile}":`, error.message);
-      stats.errors++;
+      recordFailure(stats, sync, { type: 'file', key: fileKey, title: destFilename }, error);
     }
   });
 }
 
-async function processPage(apiUrl, csrfToken, pagePath, listDir, pageFile, stats, wikiStructure) {
-  return limit(async () => {
-    const pageTitle = `${listDir}/${path.parse(pageFile).name}`;
+// Finds an edit made on the wiki by someone other than the uploader since the revision we last wrote
+async function findManualEdit(apiUrl, pageTitle, existing, synced) {
+  if (!existing || !synced?.revisionId || existing.revid === synced.revisionId) return null;
+  const revisions = await WMAPI.getRevisionsSince(apiUrl, pageTitle, synced.revisionId);
+  if (revisions.length === 0) return existing;
+  return revisions.find(revision => revision.user !== botUsername) || null;
+}
+
+function conflictPageContent(pageTitle, manualEdit, content) {
+  return `<div class="sync-conflict" style="border: 1px solid #fc3; background-color: #fef6e7; padding: 0.5em 1em; margin-bottom: 1em;">
+'''Sync conflict:''' [[${pageTitle}]] was edited on the wiki by ${manualEdit.user} (revision ${manualEdit.revid}) after the last sync from Zenkit, so the version below was not uploaded.
+</div>[[Category:Zenkit sync conflicts]]
+
+${content}`;
+}
+
+// Applies the conflict policy to a page edited on the wiki since the last sync. Returns the content
+// to upload, or null when the page must not be overwritten.
+async function resolveConflict(apiUrl, pageTitle, localContent, existing, manualEdit, synced, stats, policy) {
+  const reason = `edited by ${manualEdit.user} in revision ${manualEdit.revid}`;
+  const report = action => stats.report.conflicts.push({ title: pageTitle, user: manualEdit.user, revid: manualEdit.revid, action });
+
+  if (activePlan) {
+    recordPlanItem(activePlan, { type: 'page', title: pageTitle, action: 'conflict', reason: `${reason}; policy: ${policy}` });
+    return null;
+  }
+
+  stats.conflicts++;
+
+  if (policy === 'overwrite') {
+    console.log(`⚠ Overwriting page "${pageTitle}" ${reason}`);
+    report('overwritten');
+    return localContent;
+  }
+
+  if (policy === 'merge') {
+    const baseContent = await WMAPI.getRevisionContent(apiUrl, synced.revisionId);
+    if (baseContent !== null) {
+      const { merged, conflicts } = mergeThreeWay(baseContent, existing.content, localContent);
+      if (conflicts === 0) {
+        console.log(`⚠ Merging Zenkit changes into page "${pageTitle}" ${reason}`);
+        report('merged');
+        return merged;
+      }
+      console.log(`⚠ Could not merge page "${pageTitle}": ${conflicts} conflicting change(s)`);
+    }
+  }
+
+  if (policy === 'subpage' || policy === 'merge') {
+    const conflictTitle = `${pageTitle}/Conflict`;
+    const result = await WMAPI.uploadPage(apiUrl, currentCSRFToken, conflictTitle, conflictPageContent(pageTitle, manualEdit, localContent));
+    if (result.edit?.result !== 'Success') {
+      // Neither the page nor the subpage has the Zenkit version, so the page failed
+      console.error(`✗ Could not write the Zenkit version of "${pageTitle}" to "${conflictTitle}"`);
+      throw new ApiError(result.error || { code: 'error', info: `no result saving ${conflictTitle}` }, result);
+    }
+    console.log(`⚠ Page "${pageTitle}" ${reason}; Zenkit version written to "${conflictTitle}"`);
+    report('subpage');
+    return null;
+  }
+
+  console.log(`⚠ Skipping page "${pageTitle}" - ${reason}`);
+  report('skipped');
+  return null;
+}
+
+// Rights the upload will use, with what needs each of them
+function requiredRightsFor(mediawikiDir, site, deletePolicy, sync) {
+  const rights = { edit: 'creating and updating pages' };
+
+  const mediaDir = path.join(mediawikiDir, 'Media');
+  const hasMedia = fs.existsSync(mediaDir) && fs.readdirSync(mediaDir).some(listDir => {
+    const listPath = path.join(mediaDir, listDir);
+    return fs.statSync(listPath).isDirectory() && fs.readdirSync(listPath).length > 0;
+  });
+  if (hasMedia) rights.upload = 'uploading attachments';
+
+  const hasRenames = Object.values(sync.manifest.entries).some(entry =>
+    !entry.deleted && entry.wikiTitle && entry.file && !sameTitle(entry.wikiTitle, titleForFile(sync.titles, entry.file)));
+  if (hasRenames) rights.move = 'moving pages of renamed entries';
+
+  if (site.pages.sidebar) rights.editinterface = 'editing MediaWiki:Sidebar';
+  if (deletePolicy === 'delete') rights.delete = 'deleting pages of deleted entries';
+  return rights;
+}
+
+// With --retry-failed only the pages and files that failed last time are processed, and the File:
+// pages of failed files, which are skipped while their file is missing
+function isRetried(sync, key) {
+  if (!sync.retryOnly || sync.retryOnly.has(key)) return true;
+  return key.startsWith('File/') && sync.retryOnly.has(sync.mediaForTitle[titleForFile(sync.titles, key)]);
+}
+
+// The structure maps list titles to the titles of their pages, for the generated site pages
+function addToStructure(wikiStructure, sync, listDir, pageTitle) {
+  if (NAMESPACE_DIRECTORIES.includes(listDir)) return;
+  const listTitle = listTitleForDirectory(sync.titles, listDir);
+  if (!wikiStructure[listTitle]) wikiStructure[listTitle] = [];
+  if (!wikiStructure[listTitle].includes(pageTitle)) {
+    wikiStructure[listTitle].push(pageTitle);
+  }
+}
+
+async function processPage(apiUrl, csrfToken, pagePath, listDir, pageFile, stats, wikiStructure, sync) {
+  return schedule(async () => {
+    const pageKey = relativeKey(sync.mediawikiDir, pagePath);
+    const pageTitle = titleForFile(sync.titles, pageKey);
     const localContent = fs.readFileSync(pagePath, 'utf8');
+    const localHash = hashContent(localContent);
+    const synced = sync.manifest.pages[pageKey];
+
+    // A description page without its file would show as a missing file
+    if (listDir === 'File' && !activePlan && !sync.manifest.files[sync.mediaForTitle[pageTitle]]) {
+      console.log(`⏭ Skipping page "${pageTitle}" - its file was not uploaded`);
+      stats.pagesSkipped++;
+      return;
+    }
+
+    if (pageUnchanged(sync, pageKey, pageTitle, localHash)) {
+      console.log(`⏭ Skipping page "${pageTitle}" - unchanged since last sync`);
+      stats.pagesUnchanged++;
+      addToStructure(wikiStructure, sync, listDir, pageTitle);
+      if (activePlan) recordPlanItem(activePlan, { type: 'page', title: pageTitle, action: 'skip', reason: 'unchanged since last sync' });
+      return;
+    }
+
+    const item = { type: 'page', key: pageKey, title: pageTitle };
+    // The entry's page now has this title on the wiki
+    const recordSync = (record, outcome) => {
+      const uuid = sync.fileToUuid[pageKey];
+      recordDone(sync, { ...item, outcome }, {
+        pages: { [pageKey]: record },
+        ...(uuid ? { entries: { [uuid]: { wikiTitle: pageTitle } } } : {})
+      });
+    };
 
     try {
-      const existingContent = await WMAPI.getPageContent(apiUrl, pageTitle);
+      // Edits of prefetched pages must conflict with anything saved since the prefetch
+      const fetchTitle = sync.plannedMoves[pageTitle] || pageTitle;
+      const prefetched = sync.existingPages.has(fetchTitle);
+      const startTimestamp = prefetched ? sync.prefetchedAt : new Date().toISOString();
+      const existing = prefetched ? sync.existingPages.get(fetchTitle) : await WMAPI.getPageRevision(apiUrl, fetchTitle);
+      const existingContent = existing ? existing.content : null;
       
       if (existingContent === localContent) {
         console.log(`⏭ Skipping page "${pageTitle}" - identical content exists`);
         stats.pagesSkipped++;
+        recordSync({ ...synced, title: pageTitle, uploadedHash: localHash, revisionId: existing.revid }, 'skipped');
+        addToStructure(wikiStructure, sync, listDir, pageTitle);
+        if (activePlan) recordPlanItem(activePlan, { type: 'page', title: pageTitle, action: 'skip', reason: 'identical content exists' });
+        return;
+      }
+
+      let contentToUpload = localContent;
+      const manualEdit = await findManualEdit(apiUrl, pageTitle, existing, synced);
+      if (manualEdit) {
+        contentToUpload = await resolveConflict(apiUrl, pageTitle, localContent, existing, manualEdit, synced, stats, sync.conflictPolicy);
+        if (contentToUpload === null) {
+          addToStructure(wikiStructure, sync, listDir, pageTitle);
+          return;
+        }
+      }
+
+      if (activePlan) {
+        recordPlanItem(activePlan, {
+          type: 'page',
+          title: pageTitle,
+          action: existingContent === null ? 'create' : 'update',
+          existingContent,
+          content: localContent
+        });
+        addToStructure(wikiStructure, sync, listDir, pageTitle);
         return;
       }
 
       console.log(`↑ ${existingContent ? 'Updating' : 'Creating'} page: ${pageTitle}`);
-      const uploadResult = await WMAPI.uploadPage(apiUrl, currentCSRFToken, pageTitle, localContent);
+      // basetimestamp/starttimestamp make MediaWiki reject the edit if someone saved the page meanwhile
+      const editOptions = existing ?
+        { basetimestamp: existing.timestamp, starttimestamp: startTimestamp } :
+        { createonly: '1', starttimestamp: startTimestamp };
+      const uploadResult = await WMAPI.uploadPage(apiUrl, currentCSRFToken, pageTitle, contentToUpload, editOptions);
       
+      if (['editconflict', 'articleexists'].includes(uploadResult.error?.code)) {
+        console.log(`⚠ Skipping page "${pageTitle}" - it was edited on the wiki during the upload`);
+        stats.conflicts++;
+        stats.report.conflicts.push({ title: pageTitle, action: 'edit conflict' });
+        addToStructure(wikiStructure, sync, listDir, pageTitle);
+        return;
+      }
+
       if (uploadResult.edit && uploadResult.edit.result === 'Success') {
         console.log(`✓ Page "${pageTitle}" ${existingContent ? 'updated' : 'created'} successfully`);
         stats.pagesUploaded++;
-        
-        if (!wikiStructure[listDir]) wikiStructure[listDir] = [];
-        if (!wikiStructure[listDir].includes(path.parse(pageFile).name)) {
-          wikiStructure[listDir].push(path.parse(pageFile).name);
-        }
+        recordSync({
+          title: pageTitle,
+          uploadedHash: localHash,
+          revisionId: uploadResult.edit.newrevid ?? synced?.revisionId ?? null,
+          syncedAt: new Date().toISOString()
+        }, 'uploaded');
+        addToStructure(wikiStructure, sync, listDir, pageTitle);
       } else {
         console.error(`✗ Failed to ${existingContent ? 'update' : 'create'} page "${pageTitle}"`, uploadResult);
-        stats.errors++;
+        recordFailure(stats, sync, item, uploadResult.error);
       }
     } catch (error) {
       console.error(`✗ Error processing page "${pageTitle}":`, error.message);
-      stats.errors++;
+      recordFailure(stats, sync, item, error);
     }
   });
 }
@@ -381,26 +1029,122 @@ async function uploadMediaWikiFiles(mediawikiDir, apiUrl, username, password, op
     filesProcessed: 0,
     filesUploaded: 0,
     filesSkipped: 0,
+    filesUnchanged: 0,
     pagesProcessed: 0,
     pagesUploaded: 0,
     pagesSkipped: 0,
-    errors: 0
+    pagesUnchanged: 0,
+    pagesMoved: 0,
+    pagesDeleted: 0,
+    pagesTagged: 0,
+    conflicts: 0,
+    errors: 0,
+    report: { moved: [], removed: [], conflicts: [], fileWarnings: [], failures: [] }
+  };
+
+  const deletePolicy = options.deletePolicy || 'keep';
+  if (!DELETE_POLICIES.includes(deletePolicy)) {
+    throw new Error(`Unknown delete policy "${deletePolicy}", expected one of: ${DELETE_POLICIES.join(', ')}`);
+  }
+
+  const conflictPolicy = options.conflictPolicy || 'skip';
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    throw new Error(`Unknown conflict policy "${conflictPolicy}", expected one of: ${CONFLICT_POLICIES.join(', ')}`);
+  }
+
+  // Unless a full upload is requested, items recorded in the sync manifest with the same
+  // content are skipped without querying the wiki
+  const sync = {
+    mediawikiDir,
+    manifest: loadManifest(mediawikiDir),
+    titles: loadTitleMap(mediawikiDir),
+    incremental: options.incremental !== false,
+    conflictPolicy,
+    plannedMoves: {},
+    // Wiki state of pages and files, read in batches before they are processed
+    batchSize: QUERY_BATCH_SIZE,
+    chunkSize: options.chunkSize || UPLOAD_CHUNK_SIZE,
+    existingPages: new Map(),
+    existingFiles: new Map(),
+    prefetchedAt: null,
+    // Pages and files done by the interrupted upload being resumed, by manifest key
+    resumed: new Set(),
+    // With --retry-failed, the keys of the pages and files to retry
+    retryOnly: null,
+    journal: null
   };
+  sync.mediaForTitle = Object.fromEntries(Object.entries(sync.titles.files).map(([file, name]) => [`File:${name}`, file]));
+  sync.pageForTitle = pageFilesByTitle(sync.titles);
+  activePlan = options.dryRun ? createPlan() : null;
+  sync.fileToUuid = Object.fromEntries(Object.entries(sync.manifest.entries)
+    .filter(([, entry]) => !entry.deleted && entry.file)
+    .map(([uuid, entry]) => [entry.file, uuid]));
+
+  // An upload that stopped before saving the manifest left what it did in its journal. --resume
+  // replays it and carries on, --retry-failed also replays it and then only retries what failed.
+  const lastJob = readJournal(mediawikiDir);
+  const interrupted = lastJob && !lastJob.finished;
+  const continuing = (options.resume && interrupted) || (options.retryFailed && lastJob);
+  if (options.retryFailed && !lastJob) {
+    throw new Error(`No upload journal found for ${mediawikiDir}, so nothing failed that could be retried`);
+  }
+  if (continuing && interrupted) {
+    const replayed = replayJournal(lastJob, sync.manifest);
+    for (const record of lastJob.records) {
+      if (record.status === 'done' && ['page', 'file'].includes(record.type)) sync.resumed.add(record.key);
+    }
+    console.log(`↪ Continuing the upload started ${lastJob.startedAt}: ${replayed} item(s) were done before it stopped`);
+  } else if (options.resume) {
+    console.log('⏭ The last upload was not interrupted, there is nothing to resume');
+  } else if (interrupted) {
+    console.log(`⚠ The upload started ${lastJob.startedAt} was interrupted; --resume continues it instead of checking everything again`);
+  }
+  if (options.retryFailed) {
+    const failed = outstandingFailures(lastJob);
+    sync.retryOnly = new Set(failed.map(record => record.key));
+    console.log(`↪ Retrying ${failed.length} item(s) that failed in the last upload`);
+  }
+
+  // options.auth selects the authentication method and carries OAuth credentials; the
+  // username and password arguments are used by the password-based methods
+  const auth = { method: 'password', username, password, ...options.auth };
+
+  // Missing site settings fall back to the defaults in site.mjs
+  const site = resolveSiteConfig(options.site);
 
+  // maxlag (seconds, null to leave it out) and the most operations to run at once; the uploader
+  // runs fewer while the wiki reports lag or rate limits
+  configureApi({ maxlag: options.maxlag, concurrency: options.concurrency });
   const wikiStructure = {};
   const allLists = [];
+  let tokenRefreshInterval = null;
 
   try {
-    console.log('Starting MediaWiki upload process...');
+    console.log(`Starting MediaWiki upload process${activePlan ? ' (dry run)' : ''}...`);
     
-    await WMAPI.login(apiUrl, username, password);
-    console.log('✓ Login successful');
+    const user = await WMAPI.authenticate(apiUrl, auth);
+    console.log(`✓ Logged in as ${user.name} (${auth.method})`);
+
+    const missing = missingRights(user.rights || [], requiredRightsFor(mediawikiDir, site, deletePolicy, sync));
+    // A dry run only reads, so it can preview with a read-only login
+    if (missing.length > 0 && activePlan) {
+      console.warn(`⚠ Account "${user.name}" lacks rights the real upload will need: ${missing.join(', ')}`);
+    } else if (missing.length > 0) {
+      throw new Error(`Account "${user.name}" lacks rights this upload needs: ${missing.join(', ')}. ` +
+        'Grant them to the account (or to the bot password in Special:BotPasswords), or turn off what needs them.');
+    }
+
+    if ((user.rights || []).includes('apihighlimits')) sync.batchSize = HIGH_LIMITS_QUERY_BATCH_SIZE;
 
     currentCSRFToken = await WMAPI.getCSRFToken(apiUrl);
     console.log('✓ CSRF token obtained');
 
+    if (!activePlan) {
+      sync.journal = openJournal(mediawikiDir, { append: Boolean(continuing), mode: options.retryFailed ? 'retry-failed' : 'upload' });
+    }
+
     // Start token refresh interval
-    const tokenRefreshInterval = setInterval(async () => {
+    tokenRefreshInterval = setInterval(async () => {
       try {
         currentCSRFToken = await refreshCSRFToken(apiUrl);
         console.log('✓ CSRF token refreshed');
@@ -412,7 +1156,7 @@ async function uploadMediaWikiFiles(mediawikiDir, apiUrl, username, password, op
     // Process media files
     const mediaDir = path.join(mediawikiDir, 'Media');
     if (fs.existsSync(mediaDir)) {
-      const filePromises = [];
+      const fileJobs = [];
       const listDirs = fs.readdirSync(mediaDir);
 
       for (const listDir of listDirs) {
@@ -422,97 +1166,147 @@ async function uploadMediaWikiFiles(mediawikiDir, apiUrl, username, password, op
           const mediaFiles = fs.readdirSync(listPath);
           
           for (const mediaFile of mediaFiles) {
-            stats.filesProcessed++;
             const filePath = path.join(listPath, mediaFile);
-            filePromises.push(processFile(apiUrl, currentCSRFToken, filePath, listDir, mediaFile, stats));
-            await delay(RATE_LIMIT_DELAY);
+            if (!isRetried(sync, relativeKey(mediawikiDir, filePath))) continue;
+            stats.filesProcessed++;
+            fileJobs.push({ filePath, listDir, mediaFile });
           }
         }
       }
 
-      await Promise.all(filePromises);
+      const filesToCheck = fileJobs.filter(({ filePath }) => !fileUnchanged(sync, filePath));
+      if (filesToCheck.length > 0) {
+        sync.existingFiles = await WMAPI.getFileInfos(apiUrl, filesToCheck.map(({ filePath }) => fileNameForMedia(sync.titles, relativeKey(mediawikiDir, filePath))), sync.batchSize);
+      }
+      await Promise.all(fileJobs.map(({ filePath, listDir, mediaFile }) =>
+        processFile(apiUrl, currentCSRFToken, filePath, listDir, mediaFile, stats, sync)));
     }
 
+    // Move renamed entries before their pages are compared under the new title
+    await applyRenames(apiUrl, stats, sync);
+
     // Process pages
-    const pagePromises = [];
+    const pageJobs = [];
     const listDirs = fs.readdirSync(mediawikiDir);
 
     for (const listDir of listDirs) {
-      if (listDir === 'Media') continue;
-      
-      if (!allLists.includes(listDir)) {
+      const listPath = path.join(mediawikiDir, listDir);
+      if (listDir === 'Media' || !fs.statSync(listPath).isDirectory()) continue;
+
+      const isNamespace = NAMESPACE_DIRECTORIES.includes(listDir);
+      if (!isNamespace && !allLists.includes(listDir)) {
         allLists.push(listDir);
       }
-      wikiStructure[listDir] = [];
+      if (!isNamespace) wikiStructure[listTitleForDirectory(sync.titles, listDir)] = [];
+
+      console.log(`\nProcessing ${isNamespace ? `${listDir} namespace pages` : `pages for ${listDir}`}`);
+      const pageFiles = fs.readdirSync(listPath);
       
-      const listPath = path.join(mediawikiDir, listDir);
-      if (fs.statSync(listPath).isDirectory()) {
-        console.log(`\nProcessing pages for ${listDir}`);
-        const pageFiles = fs.readdirSync(listPath);
-        
-        for (const pageFile of pageFiles) {
-          if (pageFile.endsWith('.txt') || pageFile.endsWith('.md')) {
-            stats.pagesProcessed++;
-            const pagePath = path.join(listPath, pageFile);
-            pagePromises.push(processPage(apiUrl, currentCSRFToken, pagePath, listDir, pageFile, stats, wikiStructure));
-            await delay(RATE_LIMIT_DELAY);
-          }
+      for (const pageFile of pageFiles) {
+        const pagePath = path.join(listPath, pageFile);
+        if ((pageFile.endsWith('.txt') || pageFile.endsWith('.md')) && isRetried(sync, relativeKey(mediawikiDir, pagePath))) {
+          stats.pagesProcessed++;
+          pageJobs.push({ pagePath, listDir, pageFile });
         }
       }
     }
 
-    await Promise.all(pagePromises);
+    // Pages changed since the last upload are read from the wiki in batches up front
+    const titlesToCheck = pageJobs.flatMap(({ pagePath }) => {
+      const pageKey = relativeKey(mediawikiDir, pagePath);
+      const pageTitle = titleForFile(sync.titles, pageKey);
+      if (pageUnchanged(sync, pageKey, pageTitle, hashContent(fs.readFileSync(pagePath, 'utf8')))) return [];
+      return [sync.plannedMoves[pageTitle] || pageTitle];
+    });
+    if (titlesToCheck.length > 0) {
+      sync.prefetchedAt = new Date().toISOString();
+      sync.existingPages = await WMAPI.getPageRevisions(apiUrl, titlesToCheck, sync.batchSize);
+    }
 
-    // Clean up token refresh interval
-    clearInterval(tokenRefreshInterval);
+    await Promise.all(pageJobs.map(({ pagePath, listDir, pageFile }) =>
+      processPage(apiUrl, currentCSRFToken, pagePath, listDir, pageFile, stats, wikiStructure, sync)));
+    await applyDeletions(apiUrl, stats, sync, deletePolicy);
+    if (!activePlan) saveManifest(mediawikiDir, sync.manifest);
 
-    // Create navigation and organization pages
-    console.log('\nCreating navigation and organization pages...');
-    await createNavigationTemplate(apiUrl, currentCSRFToken);
-    await createSiteMap(apiUrl, currentCSRFToken, wikiStructure);
-    await createListPages(apiUrl, currentCSRFToken, wikiStructure, mediawikiDir);
-    await createListIndex(apiUrl, currentCSRFToken, wikiStructure);
-    await createSidebarNavigation(apiUrl, currentCSRFToken, wikiStructure);
-
-    // Set up homepage
-    if (wikiStructure['Homepage']) {
-      const homepageContent = await WMAPI.getPageContent(apiUrl, 'Homepage/Homepage');
-      if (homepageContent) {
-        // Add navigation template to the homepage content
-        const mainPageContent = `{{Navigation}}\n\n${homepageContent}`;
-        await WMAPI.uploadPage(apiUrl, currentCSRFToken, 'Main Page', mainPageContent);
-        console.log('✓ Main page created successfully');
-      }
+    // Create navigation and organization pages. Retrying failed items only sees some of the
+    // pages, so the site pages are left as the last full upload wrote them.
+    const { pages } = site;
+    if (sync.retryOnly) {
+      console.log('\n⏭ Leaving navigation and organization pages as they are while retrying failed items');
+    } else {
+      console.log('\nCreating navigation and organization pages...');
+      if (pages.navigation) await createNavigationTemplate(apiUrl, currentCSRFToken, site);
+      if (pages.siteMap) await createSiteMap(apiUrl, currentCSRFToken, wikiStructure, site);
+      if (pages.listPages) await createListPages(apiUrl, currentCSRFToken, wikiStructure, mediawikiDir, site, sync.titles);
+      if (pages.listIndex) await createListIndex(apiUrl, currentCSRFToken, wikiStructure, site);
+      if (pages.sidebar) await createSidebarNavigation(apiUrl, currentCSRFToken, wikiStructure, site);
+      if (pages.mainPage && site.mainPage) await createMainPage(apiUrl, currentCSRFToken, mediawikiDir, site, sync.pageForTitle);
+    }
+
+    // Items that failed in this upload, or earlier in the job it continues, and weren't done since
+    let failuresFile = null;
+    if (sync.journal) {
+      sync.journal.finish(Object.fromEntries(Object.entries(stats).filter(([, value]) => typeof value === 'number')));
+      failuresFile = writeFailures(mediawikiDir, outstandingFailures(readJournal(mediawikiDir)));
+      stats.failuresFile = failuresFile;
     }
 
     console.log('\nUpload process completed:');
-    console.log(`Files: ${stats.filesUploaded} uploaded, ${stats.filesSkipped} skipped, ${stats.filesProcessed} total`);
-    console.log(`Pages: ${stats.pagesUploaded} uploaded, ${stats.pagesSkipped} skipped, ${stats.pagesProcessed} total`);
+    console.log(`Files: ${stats.filesUploaded} uploaded, ${stats.filesSkipped} skipped, ${stats.filesUnchanged} unchanged, ${stats.filesProcessed} total`);
+    console.log(`Pages: ${stats.pagesUploaded} uploaded, ${stats.pagesSkipped} skipped, ${stats.pagesUnchanged} unchanged, ${stats.pagesProcessed} total`);
+    console.log(`Moved: ${stats.pagesMoved}, deleted: ${stats.pagesDeleted}, tagged obsolete: ${stats.pagesTagged}`);
+    for (const { from, to } of stats.report.moved) {
+      console.log(`  moved "${from}" -> "${to}"`);
+    }
+    for (const { title, action } of stats.report.removed) {
+      console.log(`  ${action} "${title}"`);
+    }
+    console.log(`Conflicts with wiki edits: ${stats.conflicts}`);
+    for (const { title, user, action } of stats.report.conflicts) {
+      console.log(`  ${action} "${title}"${user ? ` (edited by ${user})` : ''}`);
+    }
+    if (stats.report.fileWarnings.length > 0) {
+      console.log(`File warnings: ${stats.report.fileWarnings.length}`);
+      for (const { filename, message } of stats.report.fileWarnings) {
+        console.log(`  "${filename}": ${message}`);
+      }
+    }
     console.log(`Errors: ${stats.errors}`);
+    for (const { type, title, code } of stats.report.failures) {
+      console.log(`  ${type} "${title}": ${code}`);
+    }
+    if (failuresFile) {
+      console.log(`✗ Failed items are listed in ${failuresFile}; retry them with --retry-failed`);
+    }
+    console.log(`API requests: ${apiStats.requests}, retried: ${apiStats.retries}, throttled: ${apiStats.throttled}, signed in again: ${apiStats.relogins}`);
+
+    if (activePlan) {
+      console.log('\nDry run plan (nothing was changed on the wiki):');
+      process.stdout.write(formatPlanText(activePlan));
+      const summary = summarizePlan(activePlan);
+      for (const [type, actions] of Object.entries(summary)) {
+        console.log(`${type}s: ${Object.entries(actions).map(([action, count]) => `${count} ${action}`).join(', ')}`);
+      }
+      if (options.reportPath) {
+        writePlanReport(activePlan, options.reportPath);
+        console.log(`✓ Plan written to ${options.reportPath}`);
+      }
+      stats.plan = activePlan;
+    }
 
     return stats;
   } catch (error) {
     console.error('Fatal error:', error.message);
     throw error;
+  } finally {
+    // Also when the upload fails, or the timer would keep the process running
+    clearInterval(tokenRefreshInterval);
   }
 }
 
-// CLI handling
-if (import.meta.url === import.meta.url) {
-  const mediawikiDir = process.argv[2] || './mediawiki-pages';
-  const apiUrl = process.argv[3] || 'http://localhost:8080/w/api.php';
-  const username = process.argv[4] || 'Admin';
-  const password = process.argv[5] || 'dockerpass';
-
-  uploadMediaWikiFiles(mediawikiDir, apiUrl, username, password)
-    .then((stats) => {
-      console.log('\nProcess completed successfully');
-      process.exit(0);
-    })
-    .catch((error) => {
-      console.error('\nProcess failed:', error.message);
-      process.exit(1);
-    });
-}
-
-export { uploadMediaWikiFiles, WMAPI };
\ No newline at end of file
+export {
+  uploadMediaWikiFiles,
+  WMAPI,
+  DELETE_POLICIES,
+  CONFLICT_POLICIES
+};
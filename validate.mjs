@@ -0,0 +1,196 @@
+import { getRenderer } from './renderers.mjs';
+
+// The parts of Zenkit's export the transformer relies on, in a subset of JSON Schema: type,
+// required, properties, items and minLength. `recommended` properties may be missing, at the
+// cost of a warning (an entry without displayString is titled "Untitled").
+const EXPORT_SCHEMA = {
+  type: 'object',
+  required: ['lists'],
+  properties: {
+    lists: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['list', 'elements'],
+        recommended: ['entries'],
+        properties: {
+          list: {
+            type: 'object',
+            required: ['uuid', 'name'],
+            properties: {
+              uuid: { type: 'string' },
+              name: { type: 'string', minLength: 1 },
+              description: { type: ['string', 'null'] }
+            }
+          },
+          elements: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['uuid', 'name', 'elementcategory'],
+              properties: {
+                uuid: { type: 'string' },
+                name: { type: 'string', minLength: 1 },
+                elementcategory: { type: 'integer' }
+              }
+            }
+          },
+          entries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['uuid'],
+              recommended: ['displayString'],
+              properties: {
+                uuid: { type: 'string' },
+                id: { type: 'integer' },
+                displayString: { type: 'string', minLength: 1 },
+                created_at: { type: ['string', 'null'] },
+                updated_at: { type: ['string', 'null'] }
+              }
+            }
+          },
+          activities: { type: 'array' }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+// Entries of a list read from a streamed export arrive one at a time through an async iterable,
+// instead of an array
+function isEntryStream(entries) {
+  return !Array.isArray(entries) && typeof entries?.[Symbol.asyncIterator] === 'function';
+}
+
+// The entries of a list to loop over with for await: its array or stream, or none
+function listEntries(list) {
+  return Array.isArray(list?.entries) || isEntryStream(list?.entries) ? list.entries : [];
+}
+
+// Collects every place the value breaks the schema as { path, message, severity }
+function checkSchema(value, schema, path, issues) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    issues.push({ path, message: `expected ${[].concat(schema.type).join(' or ')}, found ${typeOf(value)}`, severity: 'error' });
+    return;
+  }
+  if (schema.minLength && typeof value === 'string' && value.length < schema.minLength) {
+    issues.push({ path, message: 'is empty', severity: 'error' });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) issues.push({ path: `${path}.${key}`, message: 'is missing', severity: 'error' });
+    }
+    for (const key of schema.recommended || []) {
+      if (value[key] === undefined) issues.push({ path: `${path}.${key}`, message: 'is missing', severity: 'warning' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) checkSchema(value[key], propertySchema, `${path}.${key}`, issues);
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, issues));
+  }
+}
+
+// Checks an export list by list and entry by entry against the schema, and for what the schema
+// can't express: element categories without a renderer, field names used twice in a list and
+// entries exported twice. A streamed export is checked as its lists and entries go by.
+function createExportValidator() {
+  const issues = [];
+  const entryPaths = new Map();
+  // Lists are checked around their entries, which go to checkEntry one at a time
+  const { items: entrySchema, ...entriesSchema } = EXPORT_SCHEMA.properties.lists.items.properties.entries;
+  const listSchema = { ...EXPORT_SCHEMA.properties.lists.items };
+  listSchema.properties = { ...listSchema.properties, entries: entriesSchema };
+
+  // The export around its lists
+  const checkExport = zenkitJson => {
+    const { items, ...listsSchema } = EXPORT_SCHEMA.properties.lists;
+    checkSchema(zenkitJson, { ...EXPORT_SCHEMA, properties: { lists: listsSchema } }, '$', issues);
+  };
+
+  const checkList = (list, listIndex) => {
+    const listPath = `$.lists[${listIndex}]`;
+    checkSchema(isEntryStream(list?.entries) ? { ...list, entries: [] } : list, listSchema, listPath, issues);
+    const fieldNames = new Set();
+    (Array.isArray(list?.elements) ? list.elements : []).forEach((element, index) => {
+      if (element?.elementcategory !== undefined && !getRenderer(element.elementcategory)) {
+        issues.push({
+          path: `${listPath}.elements[${index}]`,
+          message: `field "${element.name}" has unsupported category ${element.elementcategory} and is skipped`,
+          severity: 'warning'
+        });
+      }
+      if (element?.name && fieldNames.has(element.name)) {
+        issues.push({
+          path: `${listPath}.elements[${index}]`,
+          message: `field name "${element.name}" is used twice; both become the same section`,
+          severity: 'warning'
+        });
+      }
+      fieldNames.add(element?.name);
+    });
+  };
+
+  const checkEntry = (entry, listIndex, entryIndex) => {
+    const entryPath = `$.lists[${listIndex}].entries[${entryIndex}]`;
+    checkSchema(entry, entrySchema, entryPath, issues);
+    if (entry?.uuid && entryPaths.has(entry.uuid)) {
+      issues.push({ path: entryPath, message: `uuid ${entry.uuid} was already used at ${entryPaths.get(entry.uuid)}`, severity: 'error' });
+    } else if (entry?.uuid) {
+      entryPaths.set(entry.uuid, entryPath);
+    }
+  };
+
+  const result = () => ({
+    errors: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning')
+  });
+
+  return { checkExport, checkList, checkEntry, result };
+}
+
+function validateExport(zenkitJson) {
+  const validator = createExportValidator();
+  validator.checkExport(zenkitJson);
+  (Array.isArray(zenkitJson?.lists) ? zenkitJson.lists : []).forEach((list, listIndex) => {
+    validator.checkList(list, listIndex);
+    listEntries(list).forEach((entry, entryIndex) => validator.checkEntry(entry, listIndex, entryIndex));
+  });
+  return validator.result();
+}
+
+// With showWarnings off only errors are listed, warnings are just counted
+function formatValidation({ errors, warnings }, { showWarnings = true } = {}) {
+  const lines = [
+    ...errors.map(issue => `✗ ${issue.path} ${issue.message}`),
+    ...(showWarnings ? warnings : []).map(issue => `⚠ ${issue.path} ${issue.message}`)
+  ];
+  lines.push(`Export validation: ${errors.length} error(s), ${warnings.length} warning(s)`);
+  return lines.join('\n');
+}
+
+export {
+  EXPORT_SCHEMA,
+  isEntryStream,
+  listEntries,
+  checkSchema,
+  createExportValidator,
+  validateExport,
+  formatValidation
+};
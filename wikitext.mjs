@@ -0,0 +1,441 @@
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'col', 'wbr', 'source']);
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'blockquote', 'pre', 'table',
+  'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'figure'
+]);
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', laquo: '«', raquo: '»', copy: '©', reg: '®'
+};
+
+const HTML_PATTERN = /<\/?(p|div|span|br|b|strong|i|em|u|s|del|a|img|ul|ol|li|h[1-6]|table|tr|td|th|pre|code|blockquote)\b[^>]*>/i;
+const MARKDOWN_PATTERN = /(^|\n)\s*(#{1,6}\s|[-*+]\s|\d+\.\s|>\s?|```|\|.*\|)|\*\*[^*]+\*\*|__[^_]+__|\[[^\]]+\]\([^)]+\)|`[^`]+`/;
+
+// Neutralises wikitext that plain user content should never produce: links, templates,
+// table/parameter pipes, signatures, headings and bold or italic quotes
+function escapeWikitext(text) {
+  return String(text)
+    .replace(/&(?![a-z]+;|#\d+;|#x[0-9a-f]+;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\[\[/g, '&#91;&#91;')
+    .replace(/\]\]/g, '&#93;&#93;')
+    .replace(/\{\{/g, '&#123;&#123;')
+    .replace(/\}\}/g, '&#125;&#125;')
+    .replace(/\|/g, '&#124;')
+    .replace(/~{3,}/g, match => '&#126;'.repeat(match.length))
+    .replace(/^=/gm, '<nowiki>=</nowiki>')
+    .replace(/'{2,}/g, match => `<nowiki>${match}</nowiki>`);
+}
+
+// Percent-encodes what would end an external link's URL early or be read as markup inside it
+function encodeUrl(url) {
+  return String(url).trim()
+    .replace(/[\s"'<>[\]{|}]/g, char => (char === "'" ? '%27' : encodeURIComponent(char)))
+    .replace(/~{3,}/g, match => '%7E'.repeat(match.length));
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function headingMarker(level, options) {
+  return '='.repeat(Math.min(6, level + (options.headingOffset ?? 2)));
+}
+
+function formatImage(src, alt, options) {
+  const resolved = options.resolveImage?.(src);
+  if (resolved) {
+    return `[[File:${resolved}|thumb|${escapeWikitext(alt || '')}]]`;
+  }
+  return `[${encodeUrl(src)}${alt ? ' ' + escapeWikitext(alt) : ''}]`;
+}
+
+function formatLink(href, label) {
+  if (!href) return label;
+  if (!label || label === escapeWikitext(href)) return `[${encodeUrl(href)}]`;
+  return `[${encodeUrl(href)} ${label}]`;
+}
+
+function formatTable(rows) {
+  let table = '{| class="wikitable"\n';
+  rows.forEach((row, index) => {
+    if (index > 0) table += '|-\n';
+    for (const cell of row) {
+      table += `${cell.header ? '!' : '|'} ${cell.text}\n`;
+    }
+  });
+  return table + '|}';
+}
+
+// Parses HTML into a minimal element tree; tolerant of unclosed and stray tags
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<\/?([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|[^<]+|</g;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const token = match[0];
+    const current = stack[stack.length - 1];
+
+    if (token.startsWith('<!--')) continue;
+
+    if (!match[1]) {
+      current.children.push({ text: decodeEntities(token) });
+      continue;
+    }
+
+    const tag = match[1].toLowerCase();
+    if (token.startsWith('</')) {
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const attrs = {};
+    const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let attr;
+    while ((attr = attrPattern.exec(match[2] || '')) !== null) {
+      attrs[attr[1].toLowerCase()] = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '');
+    }
+
+    const node = { tag, attrs, children: [] };
+    current.children.push(node);
+    if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+      stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+function textContent(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(textContent).join('');
+}
+
+function renderInlineHtml(nodes, options) {
+  return nodes.map(node => renderHtmlNode(node, options)).join('');
+}
+
+function renderListItems(node, options, prefix) {
+  const marker = node.tag === 'ol' ? '#' : '*';
+  const lines = [];
+  for (const child of node.children) {
+    if (child.tag !== 'li') continue;
+    const inline = [];
+    const nested = [];
+    for (const part of child.children) {
+      if (part.tag === 'ul' || part.tag === 'ol') {
+        nested.push(renderListItems(part, options, prefix + marker));
+      } else {
+        inline.push(part);
+      }
+    }
+    lines.push(`${prefix}${marker} ${renderInlineHtml(inline, options).replace(/\s*\n\s*/g, ' ').trim()}`);
+    lines.push(...nested);
+  }
+  return lines.join('\n');
+}
+
+function renderHtmlTable(node, options) {
+  const rows = [];
+  const collectRows = parent => {
+    for (const child of parent.children) {
+      if (child.tag === 'tr') {
+        rows.push(child.children
+          .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+          .map(cell => ({
+            header: cell.tag === 'th',
+            text: renderInlineHtml(cell.children, options).replace(/\s*\n\s*/g, ' ').trim()
+          })));
+      } else if (child.children) {
+        collectRows(child);
+      }
+    }
+  };
+  collectRows(node);
+  return formatTable(rows);
+}
+
+function renderHtmlNode(node, options) {
+  if (node.text !== undefined) {
+    return escapeWikitext(node.text.replace(/\s+/g, ' '));
+  }
+
+  const inner = () => renderInlineHtml(node.children, options);
+  const block = text => `\n\n${text.trim()}\n\n`;
+
+  switch (node.tag) {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+      const marker = headingMarker(Number(node.tag[1]), options);
+      return block(`${marker} ${inner().trim()} ${marker}`);
+    }
+    case 'p': case 'div': case 'section': case 'article': case 'header': case 'footer': case 'figure':
+      return block(inner());
+    case 'br':
+      return '<br />';
+    case 'hr':
+      return block('----');
+    case 'b': case 'strong':
+      return `'''${inner()}'''`;
+    case 'i': case 'em':
+      return `''${inner()}''`;
+    case 'u': case 'ins':
+      return `<u>${inner()}</u>`;
+    case 's': case 'del': case 'strike':
+      return `<s>${inner()}</s>`;
+    case 'sup': case 'sub':
+      return `<${node.tag}>${inner()}</${node.tag}>`;
+    case 'code':
+      return `<code>${escapeWikitext(textContent(node))}</code>`;
+    case 'pre':
+      return block(`<pre>${escapeWikitext(textContent(node)).replace(/^\n+|\n+$/g, '')}</pre>`);
+    case 'blockquote':
+      return block(`<blockquote>${inner().trim()}</blockquote>`);
+    case 'a':
+      return formatLink(node.attrs.href, inner().trim());
+    case 'img':
+      return formatImage(node.attrs.src, node.attrs.alt, options);
+    case 'ul': case 'ol':
+      return block(renderListItems(node, options, ''));
+    case 'li':
+      return block(`* ${inner().trim()}`);
+    case 'table':
+      return block(renderHtmlTable(node, options));
+    case 'script': case 'style':
+      return '';
+    default:
+      return BLOCK_ELEMENTS.has(node.tag) ? block(inner()) : inner();
+  }
+}
+
+function htmlToWikitext(html, options = {}) {
+  const root = parseHtml(html);
+  return tidy(renderInlineHtml(root.children, options));
+}
+
+// Converts inline Markdown (code, images, links, emphasis) while escaping the text between them
+function renderInlineMarkdown(text, options) {
+  const inlinePattern = /`([^`]+)`|!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|<(https?:\/\/[^>\s]+)>|\*\*(.+?)\*\*|__(.+?)__|~~([^~\s][^~]*?)~~|\*([^*\s][^*]*?)\*|(?<![\w])_([^_\s][^_]*?)_(?![\w])/g;
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = inlinePattern.exec(text)) !== null) {
+    result += escapeWikitext(text.slice(lastIndex, match.index));
+    lastIndex = inlinePattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      result += `<code>${escapeWikitext(match[1])}</code>`;
+    } else if (match[3] !== undefined) {
+      result += formatImage(match[3], match[2], options);
+    } else if (match[5] !== undefined) {
+      result += formatLink(match[5], renderInlineMarkdown(match[4], options));
+    } else if (match[6] !== undefined) {
+      result += `[${encodeUrl(match[6])}]`;
+    } else if (match[7] !== undefined || match[8] !== undefined) {
+      result += `'''${renderInlineMarkdown(match[7] ?? match[8], options)}'''`;
+    } else if (match[9] !== undefined) {
+      result += `<s>${renderInlineMarkdown(match[9], options)}</s>`;
+    } else {
+      result += `''${renderInlineMarkdown(match[10] ?? match[11], options)}''`;
+    }
+  }
+
+  return result + escapeWikitext(text.slice(lastIndex));
+}
+
+function splitTableRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function markdownToWikitext(markdown, options = {}) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      output.push(renderInlineMarkdown(paragraph.join(' '), options), '');
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(/^\s*(```|~~~)\s*(\S*)/))) {
+      flushParagraph();
+      const fence = match[1];
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence)) {
+        code.push(lines[i]);
+      }
+      output.push(`<pre>${escapeWikitext(code.join('\n'))}</pre>`, '');
+    } else if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+      flushParagraph();
+      const marker = headingMarker(match[1].length, options);
+      output.push(`${marker} ${renderInlineMarkdown(match[2], options)} ${marker}`, '');
+    } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      output.push('----', '');
+    } else if ((match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/))) {
+      flushParagraph();
+      const items = [];
+      const indents = [];
+      while (i < lines.length && (match = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/))) {
+        const indent = match[1].replace(/\t/g, '    ').length;
+        while (indents.length > 0 && indent < indents[indents.length - 1].indent) indents.pop();
+        const marker = /\d/.test(match[2]) ? '#' : '*';
+        if (indents.length === 0 || indent > indents[indents.length - 1].indent) {
+          indents.push({ indent, marker });
+        } else {
+          indents[indents.length - 1].marker = marker;
+        }
+        const prefix = indents.map(level => level.marker).join('');
+        items.push(`${prefix} ${renderInlineMarkdown(match[3], options)}`);
+        i++;
+      }
+      i--;
+      output.push(...items, '');
+    } else if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+      flushParagraph();
+      const rows = [splitTableRow(line).map(cell => ({ header: true, text: renderInlineMarkdown(cell, options) }))];
+      i += 2;
+      while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) {
+        rows.push(splitTableRow(lines[i]).map(cell => ({ header: false, text: renderInlineMarkdown(cell, options) })));
+        i++;
+      }
+      i--;
+      output.push(formatTable(rows), '');
+    } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+      flushParagraph();
+      const quoted = [match[1]];
+      while (i + 1 < lines.length && (match = lines[i + 1].match(/^\s*>\s?(.*)$/))) {
+        quoted.push(match[1]);
+        i++;
+      }
+      output.push(`<blockquote>${markdownToWikitext(quoted.join('\n'), options)}</blockquote>`, '');
+    } else if (line.trim() === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  return tidy(output.join('\n'));
+}
+
+function tidy(wikitext) {
+  return wikitext
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Converts a Zenkit text value to wikitext, detecting whether it holds HTML, Markdown or plain text
+function toWikitext(text, options = {}) {
+  if (text === undefined || text === null) return '';
+  const value = String(text);
+  if (HTML_PATTERN.test(value)) return htmlToWikitext(value, options);
+  if (MARKDOWN_PATTERN.test(value)) return markdownToWikitext(value, options);
+  return value
+    .split(/\n{2,}/)
+    .map(part => escapeWikitext(part.trim()).replace(/\n/g, '<br />\n'))
+    .filter(part => part)
+    .join('\n\n');
+}
+
+// Text in <nowiki> is literal; as character references it stays clear of the markup converted below
+function literalNowiki(text) {
+  return text.replace(/<nowiki>([\s\S]*?)<\/nowiki>/g, (match, content) =>
+    [...content].map(char => `&#${char.codePointAt(0)};`).join(''));
+}
+
+// Converts inline wikitext produced by the converters above back to Markdown
+function inlineWikitextToMarkdown(text) {
+  return literalNowiki(text)
+    .replace(/<code>([\s\S]*?)<\/code>/g, (match, code) => `\`${code}\``)
+    .replace(/'''([\s\S]*?)'''/g, '**$1**')
+    .replace(/''([\s\S]*?)''/g, '*$1*')
+    .replace(/<s>([\s\S]*?)<\/s>/g, '~~$1~~')
+    .replace(/<\/?u>|<\/?sup>|<\/?sub>/g, '')
+    .replace(/\[\[File:([^|\]]+)(?:\|[^|\]]*)*?(?:\|([^|\]]*))?\]\]/g, (match, file, alt) => `![${alt || ''}](${file})`)
+    .replace(/\[\[(?:[^|\]]+\|)?([^\]]+)\]\]/g, '$1')
+    .replace(/\[((?:https?|mailto|tel):[^\s\]]+) ([^\]]+)\]/g, '[$2]($1)')
+    .replace(/\[((?:https?|mailto|tel):[^\s\]]+)\]/g, '<$1>')
+    .replace(/<br\s*\/?>$/, '')
+    .replace(/<br\s*\/?>/g, '\n');
+}
+
+function wikitextToMarkdown(wikitext) {
+  const lines = String(wikitext).replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(/^<pre>([\s\S]*)$/))) {
+      const code = [match[1]];
+      while (!code[code.length - 1].includes('</pre>') && i + 1 < lines.length) {
+        code.push(lines[++i]);
+      }
+      code[code.length - 1] = code[code.length - 1].replace(/<\/pre>.*$/, '');
+      output.push('```', decodeEntities(literalNowiki(code.join('\n'))), '```');
+    } else if ((match = line.match(/^(={1,6})\s*(.*?)\s*\1\s*$/))) {
+      output.push(`${'#'.repeat(Math.max(1, match[1].length - 2))} ${inlineWikitextToMarkdown(match[2])}`);
+    } else if ((match = line.match(/^([*#]+)\s*(.*)$/))) {
+      const marker = match[1].endsWith('#') ? '1.' : '-';
+      output.push(`${'  '.repeat(match[1].length - 1)}${marker} ${inlineWikitextToMarkdown(match[2])}`);
+    } else if (line.startsWith('{|')) {
+      const rows = [];
+      let row = null;
+      while (++i < lines.length && !lines[i].startsWith('|}')) {
+        const cell = lines[i].match(/^([!|])\s?(.*)$/);
+        if (lines[i].startsWith('|-')) {
+          row = null;
+        } else if (cell) {
+          if (!row) rows.push(row = { header: cell[1] === '!', cells: [] });
+          row.cells.push(inlineWikitextToMarkdown(cell[2]).replace(/\|/g, '\\|'));
+        }
+      }
+      rows.forEach((tableRow, index) => {
+        output.push(`| ${tableRow.cells.join(' | ')} |`);
+        if (index === 0) output.push(`|${tableRow.cells.map(() => '---').join('|')}|`);
+      });
+    } else if ((match = line.match(/^<blockquote>(.*?)(<\/blockquote>)?$/))) {
+      output.push(`> ${inlineWikitextToMarkdown(match[1])}`);
+    } else if (line.trim() === '----') {
+      output.push('---');
+    } else {
+      output.push(inlineWikitextToMarkdown(line));
+    }
+  }
+
+  return decodeEntities(output.join('\n')).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+export {
+  escapeWikitext,
+  encodeUrl,
+  decodeEntities,
+  htmlToWikitext,
+  markdownToWikitext,
+  toWikitext,
+  wikitextToMarkdown
+};
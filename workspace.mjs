@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import { ELEMENT_CATEGORIES, readValue, renderElement } from './renderers.mjs';
+import { decodeEntities } from './wikitext.mjs';
+import { NAMESPACE_NUMBERS, normalizeNamespace } from './titles.mjs';
+import { isEntryStream } from './validate.mjs';
+
+// The exports listed under `workspaces` in the config file, with their paths resolved
+function resolveWorkspaces(workspaces, baseDir = process.cwd()) {
+  if (!Array.isArray(workspaces) || workspaces.length === 0) {
+    throw new Error('"workspaces" must be a list of exports, each with an "input"');
+  }
+  return workspaces.map(workspace => {
+    if (!workspace?.input) throw new Error('Every workspace needs an "input" export file');
+    if (workspace.prefix && workspace.namespace) {
+      throw new Error(`Workspace ${workspace.input} has both a prefix and a namespace, pick one`);
+    }
+    const input = path.resolve(baseDir, workspace.input);
+    if (!fs.existsSync(input)) throw new Error(`Zenkit export not found: ${input}`);
+    const files = workspace.files ? path.resolve(baseDir, workspace.files) : null;
+    if (!workspace.namespace) return { ...workspace, input, files };
+
+    // The XML dump needs the number of the namespace, which the wiki's $wgExtraNamespaces sets for
+    // namespaces of its own. Subject namespaces have even numbers, their talk namespaces odd ones.
+    const namespace = normalizeNamespace(workspace.namespace);
+    const namespaceNumber = NAMESPACE_NUMBERS[namespace] ?? workspace.namespaceNumber;
+    if (NAMESPACE_NUMBERS[namespace] === undefined && (!Number.isInteger(namespaceNumber) || namespaceNumber < 100)) {
+      throw new Error(`Workspace ${workspace.input} has the namespace "${namespace}", which is not one of MediaWiki's; ` +
+        'set its "namespaceNumber" to the number $wgExtraNamespaces gives it');
+    }
+    if (namespaceNumber % 2 !== 0) {
+      throw new Error(`Workspace ${workspace.input} has the namespace "${namespace}", which is a talk namespace; pick a namespace with an even number`);
+    }
+    return { ...workspace, input, files, namespace, namespaceNumber };
+  });
+}
+
+// Renames the lists of resolved workspaces as they are merged, and refuses lists and entries that
+// would collide with those merged before. Lists of a workspace with a `prefix` are titled
+// `<prefix>/<List>`, those of a workspace with a `namespace` `<namespace>:<List>`. Each merged
+// list remembers its original name, files directory and namespace in `list.source`.
+function createWorkspaceMerger() {
+  const listNames = new Map();
+  // Pages and the sync manifest are keyed by entry UUID, so an entry may only come from one export
+  const entryInputs = new Map();
+
+  return (workspace, list) => {
+    const { input, files } = workspace;
+    const name = workspace.prefix ? `${workspace.prefix}/${list.list.name}` :
+      workspace.namespace ? `${workspace.namespace}:${list.list.name}` :
+      list.list.name;
+    if (listNames.has(name)) {
+      throw new Error(`Both ${listNames.get(name)} and ${input} have a list named "${name}"; give one of the workspaces a prefix or namespace`);
+    }
+    listNames.set(name, input);
+    const entries = filterEntries(list.entries, entry => {
+      const seenIn = entryInputs.get(entry.uuid);
+      if (seenIn && seenIn !== input) {
+        throw new Error(`Entry ${entry.uuid} is in both ${seenIn} and ${input}; each export may only be merged once`);
+      }
+      entryInputs.set(entry.uuid, input);
+      return true;
+    });
+    const { namespace = null, namespaceNumber = null } = workspace;
+    return { ...list, list: { ...list.list, name }, entries, source: { name: list.list.name, files, input, namespace, namespaceNumber } };
+  };
+}
+
+// The entries `keep` returns true for: an array, or for a streamed list the entries as they are
+// read. Anything else is left as it is, for the export check to report.
+function filterEntries(entries, keep) {
+  if (Array.isArray(entries)) return entries.filter(keep);
+  if (!isEntryStream(entries)) return entries;
+  return (async function* () {
+    for await (const entry of entries) {
+      if (keep(entry)) yield entry;
+    }
+  })();
+}
+
+// Reads the exports listed under `workspaces` in the config file and merges them into one export,
+// their attachments are read from each workspace's `files`
+function loadWorkspaces(workspaces, baseDir = process.cwd()) {
+  const merge = createWorkspaceMerger();
+  const lists = [];
+  for (const workspace of resolveWorkspaces(workspaces, baseDir)) {
+    const exported = JSON.parse(fs.readFileSync(workspace.input, 'utf8'));
+    for (const list of exported.lists || []) {
+      if (list.list) lists.push(merge(workspace, list));
+    }
+  }
+  return { lists };
+}
+
+// Text a filter compares against: the names of a Labels field, or the displayed value otherwise
+function filterValues(element, entry) {
+  if (element.elementcategory === ELEMENT_CATEGORIES.LABELS) {
+    return (readValue(entry, element, ['_categories', '_categories_sort']) || []).map(label => label.name);
+  }
+  const text = decodeEntities(renderElement(element, entry, { entryUuidToPageNameMap: {} })).trim();
+  return text ? [text] : [];
+}
+
+function matchesList(names, list) {
+  const source = list.source?.name ?? list.list.name;
+  return names.includes(list.list.name) || names.includes(source);
+}
+
+// An entry rule applies to lists with the field (or only to `list`), and keeps entries with one of
+// the `include` values, or drops those with one of the `exclude` values
+function entryPasses(rule, list, entry) {
+  if (rule.list && !matchesList([rule.list], list)) return true;
+  const element = list.elements.find(candidate => candidate.name === rule.field);
+  if (!element) return true;
+  const values = filterValues(element, entry);
+  if (rule.include && !rule.include.some(value => values.includes(String(value)))) return false;
+  if (rule.exclude && rule.exclude.some(value => values.includes(String(value)))) return false;
+  return true;
+}
+
+// A field is excluded by its name in every list, or by `<List>/<Field>` in one list
+function fieldExcluded(names, list, element) {
+  const listNames = [list.list.name, list.source?.name].filter(Boolean);
+  return names.includes(element.name) || listNames.some(name => names.includes(`${name}/${element.name}`));
+}
+
+// What the filters left out: list names, the names of left-out entries by list, and left-out
+// fields by list. UUIDs of left-out entries are kept as `hidden`, so references to them can be
+// dropped quietly instead of being reported as dangling.
+function createFilterReport() {
+  return { lists: [], entries: new Map(), fields: new Map(), hidden: new Set() };
+}
+
+function checkFilters(filters = {}) {
+  for (const rule of filters.entries || []) {
+    if (!rule?.field || (!rule.include && !rule.exclude)) {
+      throw new Error('Every entry filter needs a "field" and "include" or "exclude" values');
+    }
+  }
+}
+
+// Applies the `filters` of the config file to one list and returns what gets published of it, or
+// null when the whole list is left out. What was left out is added to `report`, if given.
+function filterList(list, filters = {}, report = null) {
+  if (!list.list || !Array.isArray(list.elements)) return list;
+  const include = filters.lists?.include;
+  const exclude = filters.lists?.exclude || [];
+  const entryRules = filters.entries || [];
+  const excludedFields = filters.fields?.exclude || [];
+
+  if ((include && !matchesList(include, list)) || matchesList(exclude, list)) {
+    if (report) {
+      report.lists.push(list.list.name);
+      // streamExport adds those of a streamed list as it skips them
+      for (const entry of Array.isArray(list.entries) ? list.entries : []) report.hidden.add(entry.uuid);
+    }
+    return null;
+  }
+
+  const entries = filterEntries(list.entries || [], entry => {
+    if (entryRules.every(rule => entryPasses(rule, list, entry))) return true;
+    if (report) {
+      report.hidden.add(entry.uuid);
+      if (!report.entries.has(list.list.name)) report.entries.set(list.list.name, []);
+      report.entries.get(list.list.name).push(entry.displayString);
+    }
+    return false;
+  });
+  const elements = list.elements.filter(element => {
+    if (!fieldExcluded(excludedFields, list, element)) return true;
+    if (report) {
+      if (!report.fields.has(list.list.name)) report.fields.set(list.list.name, []);
+      report.fields.get(list.list.name).push(element.name);
+    }
+    return false;
+  });
+  return { ...list, elements, entries };
+}
+
+// Applies the `filters` of the config file to a whole export and returns the export that gets
+// published, with a report of what was left out
+function applyFilters(zenkitJson, filters = {}) {
+  checkFilters(filters);
+  const report = createFilterReport();
+  const lists = (zenkitJson.lists || []).map(list => filterList(list, filters, report)).filter(Boolean);
+  return { zenkitJson: { ...zenkitJson, lists }, report };
+}
+
+function formatFilterReport(report) {
+  const lines = [];
+  if (report.lists.length > 0) lines.push(`  Lists left out: ${report.lists.join(', ')}`);
+  for (const [list, entries] of report.entries) lines.push(`  ${list}: ${entries.length} entries left out by entry filters`);
+  for (const [list, fields] of report.fields) lines.push(`  ${list}: fields left out: ${fields.join(', ')}`);
+  return lines.length > 0 ? `Filters:\n${lines.join('\n')}` : 'Filters: nothing left out';
+}
+
+export {
+  resolveWorkspaces,
+  createWorkspaceMerger,
+  loadWorkspaces,
+  createFilterReport,
+  checkFilters,
+  filterList,
+  applyFilters,
+  formatFilterReport
+};
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadManifest } from './manifest.mjs';
+import { loadTitleMap, titleForFile, namespaceNumber } from './titles.mjs';
+
+// Special:Export schema the dump follows, importable with maintenance/importDump.php
+const EXPORT_VERSION = '0.11';
+const EXPORT_NAMESPACE = `http://www.mediawiki.org/xml/export-${EXPORT_VERSION}/`;
+// A copy of the schema ships with the converter, so dumps validate offline
+const DUMP_SCHEMA = path.join(path.dirname(fileURLToPath(import.meta.url)), 'schemas', `export-${EXPORT_VERSION}.xsd`);
+
+// Author of pages that have no Zenkit creator, such as list overviews and File: descriptions
+const DEFAULT_DUMP_USER = 'Zenkit import';
+const UPLOAD_COMMENT = 'Attachment imported from Zenkit';
+
+// XML 1.0 doesn't allow most control characters, not even as character references
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// MediaWiki stores SHA-1 hashes in base 36, padded to 31 digits
+function base36Digest(hash) {
+  return BigInt(`0x${hash.digest('hex')}`).toString(36).padStart(31, '0');
+}
+
+function sha1Base36(content) {
+  return base36Digest(crypto.createHash('sha1').update(content));
+}
+
+// Hashes a file a chunk at a time, so large media files are never held in memory whole
+function fileSha1Base36(file) {
+  const hash = crypto.createHash('sha1');
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(file, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) hash.update(buffer.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return base36Digest(hash);
+}
+
+function dumpTimestamp(value) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Extra namespaces are numbered as recorded in the title map
+function namespaceOf(title, namespaces) {
+  return title.includes(':') ? namespaceNumber(title.split(':')[0], namespaces) ?? 0 : 0;
+}
+
+// Entry pages are created by the entry's Zenkit creator and last edited by its last updater.
+// The export only holds current values, so both revisions carry the current text.
+function entryRevisions(entry, user, importedAt) {
+  const created = dumpTimestamp(entry?.createdAt);
+  const updated = dumpTimestamp(entry?.updatedAt);
+  const revisions = [];
+  if (created) revisions.push({ timestamp: created, user: entry.createdBy || user, comment: 'Created in Zenkit' });
+  if (updated && (!created || updated > created)) {
+    revisions.push({ timestamp: updated, user: entry.updatedBy || user, comment: 'Last edited in Zenkit' });
+  }
+  if (revisions.length === 0) revisions.push({ timestamp: importedAt, user, comment: 'Imported from Zenkit' });
+  return revisions;
+}
+
+function contributorXml(user) {
+  return `      <contributor>\n        <username>${escapeXml(user)}</username>\n      </contributor>\n`;
+}
+
+function revisionXml(id, parentId, revision, text) {
+  let xml = '    <revision>\n';
+  xml += `      <id>${id}</id>\n`;
+  if (parentId) xml += `      <parentid>${parentId}</parentid>\n`;
+  xml += `      <timestamp>${revision.timestamp}</timestamp>\n`;
+  xml += contributorXml(revision.user);
+  xml += `      <comment>${escapeXml(revision.comment)}</comment>\n`;
+  xml += '      <model>wikitext</model>\n';
+  xml += '      <format>text/x-wiki</format>\n';
+  xml += `      <text bytes="${Buffer.byteLength(text)}" xml:space="preserve">${escapeXml(text)}</text>\n`;
+  xml += `      <sha1>${sha1Base36(text)}</sha1>\n`;
+  xml += '    </revision>\n';
+  return xml;
+}
+
+// Uploads refer to the media file by its path in the output directory (`rel`), so importDump.php
+// reads them from disk with --image-base-path instead of downloading them
+function uploadXml(outputDir, mediaFile, fileName, upload) {
+  const file = path.join(outputDir, mediaFile);
+  let xml = '    <upload>\n';
+  xml += `      <timestamp>${upload.timestamp}</timestamp>\n`;
+  xml += contributorXml(upload.user);
+  xml += `      <comment>${escapeXml(upload.comment)}</comment>\n`;
+  xml += `      <filename>${escapeXml(fileName)}</filename>\n`;
+  xml += `      <src>${escapeXml(encodeURI(mediaFile))}</src>\n`;
+  xml += `      <size>${fs.statSync(file).size}</size>\n`;
+  xml += `      <sha1base36>${fileSha1Base36(file)}</sha1base36>\n`;
+  xml += `      <rel>${escapeXml(mediaFile)}</rel>\n`;
+  xml += '    </upload>\n';
+  return xml;
+}
+
+// Writes every page and media file of the output directory into one MediaWiki XML dump
+//
+// options: user (author of generated pages without a Zenkit creator), importedAt
+function writeXmlDump(outputDir, dumpFile, options = {}) {
+  const user = options.user || DEFAULT_DUMP_USER;
+  const importedAt = dumpTimestamp(options.importedAt || new Date());
+  const titleMap = loadTitleMap(outputDir);
+  const manifest = loadManifest(outputDir);
+
+  const entriesByFile = new Map();
+  const attachmentsByFile = new Map();
+  for (const entry of Object.values(manifest.entries)) {
+    if (entry.deleted) continue;
+    entriesByFile.set(entry.file, entry);
+    for (const attachment of entry.attachments || []) {
+      if (attachment?.file) attachmentsByFile.set(attachment.file, { attachment, entry });
+    }
+  }
+
+  const mediaByTitle = new Map();
+  for (const [mediaFile, fileName] of Object.entries(titleMap.files)) {
+    if (fs.existsSync(path.join(outputDir, mediaFile))) mediaByTitle.set(`File:${fileName}`, mediaFile);
+  }
+
+  const pages = Object.keys(titleMap.pages)
+    .filter(pageFile => fs.existsSync(path.join(outputDir, pageFile)))
+    .map(pageFile => ({ pageFile, title: titleForFile(titleMap, pageFile) }));
+  const described = new Set(pages.map(page => page.title));
+  for (const title of mediaByTitle.keys()) {
+    if (!described.has(title)) pages.push({ pageFile: null, title });
+  }
+
+  const stats = { pages: 0, revisions: 0, uploads: 0 };
+  const fd = fs.openSync(dumpFile, 'w');
+  try {
+    fs.writeSync(fd, `<mediawiki xmlns="${EXPORT_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+      `xsi:schemaLocation="${EXPORT_NAMESPACE} http://www.mediawiki.org/xml/export-${EXPORT_VERSION}.xsd" ` +
+      `version="${EXPORT_VERSION}" xml:lang="en">\n`);
+
+    for (const { pageFile, title } of pages) {
+      stats.pages++;
+      let xml = '  <page>\n';
+      xml += `    <title>${escapeXml(title)}</title>\n`;
+      xml += `    <ns>${namespaceOf(title, titleMap.namespaces)}</ns>\n`;
+      xml += `    <id>${stats.pages}</id>\n`;
+
+      // A File: page is created along with the upload of its media file
+      const mediaFile = mediaByTitle.get(title);
+      let upload = null;
+      if (mediaFile) {
+        const { attachment, entry } = attachmentsByFile.get(mediaFile) || {};
+        upload = {
+          timestamp: dumpTimestamp(attachment?.uploadedAt) || dumpTimestamp(entry?.createdAt) || importedAt,
+          user: attachment?.uploadedBy || entry?.createdBy || user,
+          comment: UPLOAD_COMMENT
+        };
+      }
+
+      if (pageFile) {
+        const text = fs.readFileSync(path.join(outputDir, pageFile), 'utf8');
+        const revisions = upload ? [upload] : entryRevisions(entriesByFile.get(pageFile), user, importedAt);
+        let parentId = null;
+        for (const revision of revisions) {
+          const id = ++stats.revisions;
+          xml += revisionXml(id, parentId, revision, text);
+          parentId = id;
+        }
+      }
+
+      if (upload) {
+        xml += uploadXml(outputDir, mediaFile, title.slice('File:'.length), upload);
+        stats.uploads++;
+      }
+
+      xml += '  </page>\n';
+      fs.writeSync(fd, xml);
+    }
+
+    fs.writeSync(fd, '</mediawiki>\n');
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  console.log(`XML dump written to ${dumpFile}: ${stats.pages} pages, ${stats.revisions} revisions, ${stats.uploads} uploads`);
+  return stats;
+}
+
+// Checks a dump against the export schema with xmllint, by default the copy in schemas/. A
+// missing xmllint rejects with code ENOENT.
+function validateXmlDump(dumpFile, schemaFile = DUMP_SCHEMA) {
+  return new Promise((resolve, reject) => {
+    execFile('xmllint', ['--noout', '--nonet', '--stream', '--schema', schemaFile, dumpFile], { maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error?.code === 'ENOENT') {
+        reject(Object.assign(new Error('xmllint was not found on the PATH; install libxml2 (libxml2-utils on Debian and Ubuntu) to validate XML dumps'), { code: 'ENOENT' }));
+        return;
+      }
+      const messages = stderr.split('\n').filter(line => line && !line.endsWith(' validates'));
+      resolve({ valid: !error, messages });
+    });
+  });
+}
+
+export {
+  EXPORT_VERSION,
+  DUMP_SCHEMA,
+  DEFAULT_DUMP_USER,
+  writeXmlDump,
+  validateXmlDump
+};